@@ -0,0 +1,182 @@
+/**
+ * Cyclochron: A Circular Sequencer
+ * Copyright (C) 2021 Bill Fisher
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Rhythm analysis: the symmetries of a cycle's beats, and the rotations of the cycle that
+ * make the most convincing downbeat. Only whether each beat is active is considered, so this
+ * works the same for generated and hand-edited rhythms. Like the core, nothing here touches
+ * the DOM.
+ */
+
+// Each downbeat candidate is scored by how well its onsets fit the meter, and by how long
+// its note lasts until the next onset, since a long note tends to be heard as accented.
+export const DOWNBEAT_METRIC_FIT_WEIGHT = 0.75;
+export const DOWNBEAT_LENGTH_WEIGHT = 0.25;
+
+/////////////////////////// ANALYSIS ////////////////////////////
+
+/**
+ * Analyze the beats of a cycle.
+ * @param {Array<Beat>} beats
+ * @return {Object} The axes of symmetry, the rotational symmetry, whether every beat is the
+ * same, and the ranked downbeat candidates. See the functions below.
+ */
+export function analyzeRhythm(beats) {
+  return {
+    axes: findAxesOfSymmetry(beats),
+    rotationalSymmetry: findRotationalSymmetry(beats),
+    isUniform: beats.every(beat => beat.active === beats[0].active),
+    downbeats: rankDownbeatRotations(beats),
+  };
+}
+
+/**
+ * Find every axis of bilateral symmetry. An axis with a mirror index of k reflects beat i
+ * onto beat (k - i), around the cycle. It runs through the position k / 2, in beats from the
+ * first beat, and through the position half a cycle on from there. A whole position falls on
+ * a beat, and a half position falls between two beats.
+ * @param {Array<Beat>} beats
+ * @return {Array<Object>} Each axis as { mirrorIndex, position }, in order of mirror index.
+ */
+export function findAxesOfSymmetry(beats) {
+  const beatCount = beats.length;
+  const axes = [];
+  for (var mirrorIndex = 0; mirrorIndex < beatCount; mirrorIndex++) {
+    const isMirrored = beats.every((beat, idx) =>
+      beat.active === beats[(mirrorIndex - idx + beatCount) % beatCount].active
+    );
+    if (isMirrored) {
+      axes.push({ mirrorIndex, position: mirrorIndex / 2 });
+    }
+  }
+  return axes;
+}
+
+/**
+ * A rhythm has rotational symmetry when rotating it by fewer beats than the whole cycle gives
+ * the same rhythm, as with four evenly spaced notes.
+ * @param {Array<Beat>} beats
+ * @return {Object} The period, which is the fewest beats of rotation giving the same rhythm,
+ * and the order, which is how many times the rhythm repeats around the cycle. An order of 1
+ * means there is no rotational symmetry.
+ */
+export function findRotationalSymmetry(beats) {
+  const beatCount = beats.length;
+  for (var period = 1; period < beatCount; period++) {
+    if (beatCount % period !== 0) {
+      continue;
+    }
+    const isRepeated = beats.every((beat, idx) =>
+      beat.active === beats[(idx + period) % beatCount].active
+    );
+    if (isRepeated) {
+      return { period, order: beatCount / period };
+    }
+  }
+  return { period: beatCount, order: 1 };
+}
+
+/**
+ * The metric weight of a position counts the levels of the meter that have a beat there.
+ * Every divisor of the beat count is a level, so the weight is the number of divisors of the
+ * greatest common divisor of the position and the beat count. In 16 beats, the first beat
+ * weighs 5, the ninth 4, the fifth and thirteenth 3, the rest of the odd-numbered beats 2
+ * and the even-numbered beats 1, as in a bar of sixteenth notes.
+ * @param {integer} idx
+ * @param {integer} beatCount
+ * @return {integer}
+ */
+export function getMetricWeight(idx, beatCount) {
+  const divisor = getGreatestCommonDivisor(idx, beatCount);
+  var weight = 0;
+  for (var i = 1; i <= divisor; i++) {
+    if (divisor % i === 0) {
+      weight++;
+    }
+  }
+  return weight;
+}
+
+/**
+ * Rank the rotations that put an active beat on beat one. Each candidate is scored from 0
+ * to 1, from two heuristics:
+ *
+ *   metricFit: how much of the metric weight the onsets land on, compared to the best and
+ *     worst that the same number of onsets could land on. See getMetricWeight().
+ *   lengthFit: the beats from the candidate to the next onset, compared to the longest
+ *     gap between onsets.
+ *
+ * Rotations that give the same rhythm, because of rotational symmetry, are only listed once.
+ * @param {Array<Beat>} beats
+ * @return {Array<Object>} Candidates as { firstBeatIndex, score, metricFit, lengthFit }, best
+ * first, and then in beat order. Empty when there are no active beats.
+ */
+export function rankDownbeatRotations(beats) {
+  const beatCount = beats.length;
+  const onsets = beats.flatMap((beat, idx) => beat.active ? [idx] : []);
+  if (onsets.length === 0) {
+    return [];
+  }
+  const weights = beats.map((_beat, idx) => getMetricWeight(idx, beatCount));
+  const sortedWeights = [...weights].sort((a, b) => b - a);
+  const sumWeights = weightsToSum => weightsToSum.reduce((sum, weight) => sum + weight, 0);
+  const bestFit = sumWeights(sortedWeights.slice(0, onsets.length));
+  const worstFit = sumWeights(sortedWeights.slice(-onsets.length));
+  const noteLengths = onsets.map(idx => getNoteLength(beats, idx));
+  const longestNote = Math.max(...noteLengths);
+  const { period } = findRotationalSymmetry(beats);
+
+  const candidates = [];
+  onsets.forEach((firstBeatIndex, onsetIdx) => {
+    if (firstBeatIndex >= period) {
+      return;
+    }
+    const fit = sumWeights(
+      onsets.map(idx => weights[(idx - firstBeatIndex + beatCount) % beatCount]),
+    );
+    const metricFit = bestFit === worstFit ? 1 : (fit - worstFit) / (bestFit - worstFit);
+    const lengthFit = noteLengths[onsetIdx] / longestNote;
+    candidates.push({
+      firstBeatIndex,
+      score: (DOWNBEAT_METRIC_FIT_WEIGHT * metricFit) + (DOWNBEAT_LENGTH_WEIGHT * lengthFit),
+      metricFit,
+      lengthFit,
+    });
+  });
+  return candidates.sort((a, b) => b.score - a.score || a.firstBeatIndex - b.firstBeatIndex);
+}
+
+//////////////////////// HELPERS ////////////////////////////
+
+/**
+ * @param {Array<Beat>} beats
+ * @param {integer} idx Index of an active beat.
+ * @return {integer} Beats from this beat to the next active beat, around the cycle.
+ */
+function getNoteLength(beats, idx) {
+  const beatCount = beats.length;
+  var length = 1;
+  while (length < beatCount && !beats[(idx + length) % beatCount].active) {
+    length++;
+  }
+  return length;
+}
+
+function getGreatestCommonDivisor(a, b) {
+  return b === 0 ? a : getGreatestCommonDivisor(b, a % b);
+}
@@ -0,0 +1,398 @@
+/**
+ * Cyclochron: A Circular Sequencer
+ * Copyright (C) 2021 Bill Fisher
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The internal sound engine: a few synthesized drum voices and a simple pitched voice, played
+ * by the same MIDI messages that the sequencer sends to a MIDI port, so that it can stand in
+ * for one. Samples can take the place of the voices for any note. The cycles can also be
+ * rendered offline, to a WAV file. Only the Web Audio API is used, and nothing here touches
+ * the DOM.
+ */
+
+import {
+  MIDI_NOTE_ON,
+  MIDI_NOTE_OFF,
+  MIDI_MAX_VELOCITY,
+  createRandomNumberGenerator,
+  createNoteEvents,
+  getMidiFileTickLength,
+  sortNoteEvents,
+} from './cyclochron-core.js';
+
+export const INTERNAL_OUTPUT_ID = 'internal';
+
+// As in General MIDI, the notes of this channel play drums rather than pitches.
+export const DRUM_CHANNEL = 10;
+
+const SYNTH_VOLUME = 0.5;
+const NOISE_SEED = 1; // the noise is the same every time, so renders are repeatable
+const NOISE_LENGTH = 1; // seconds
+const SILENCE = 0.001; // exponential ramps cannot reach zero
+const PITCHED_VOICE_ATTACK = 0.005; // seconds
+const PITCHED_VOICE_RELEASE = 0.05; // seconds
+
+export const AUDIO_FILE_SAMPLE_RATE = 44100;
+const AUDIO_FILE_BYTES_PER_SAMPLE = 2; // 16-bit PCM
+
+/**
+ * The drum played by each note number of the drum channel, following the General MIDI
+ * percussion map. Any other note number of the drum channel plays the pitched voice.
+ */
+const DRUM_VOICES = {
+  35: playKick,
+  36: playKick,
+  37: playRimShot,
+  38: playSnare,
+  39: playClap,
+  40: playSnare,
+  41: playTom,
+  42: playClosedHiHat,
+  43: playTom,
+  44: playClosedHiHat,
+  45: playTom,
+  46: playOpenHiHat,
+  47: playTom,
+  48: playTom,
+  50: playTom,
+};
+
+/////////////////////////// CREATE DATA /////////////////////////
+
+/**
+ * Create a synth, which plays into an audio context. The context may be an
+ * OfflineAudioContext, to render audio rather than play it.
+ * @param {BaseAudioContext} context
+ * @param {Map<integer, Sample>} samples Sample of each note number, which may be shared with
+ * other synths and changed at any time. See createSample().
+ * @return {Synth}
+ */
+export function createSynth(context, samples = new Map()) {
+  const output = context.createGain();
+  output.gain.value = SYNTH_VOLUME;
+  output.connect(context.destination);
+  return {
+    context,
+    output,
+    samples,
+    noiseBuffer: createNoiseBuffer(context),
+    heldNotes: new Map(), // pitched voices waiting for a note-off, see getHeldNoteKey()
+  };
+}
+
+/**
+ * Decode an audio file, in any format the browser can play, to use in place of a voice.
+ * @param {string} name
+ * @param {ArrayBuffer} data Contents of the file.
+ * @return {Promise<Sample>} A sample as { name, buffer }.
+ */
+export function createSample(name, data) {
+  const context = new OfflineAudioContext(1, 1, AUDIO_FILE_SAMPLE_RATE);
+  return context.decodeAudioData(data).then(buffer => ({ name, buffer }));
+}
+
+/**
+ * Wrap a synth in the interface of a MIDI output, so that the sequencer can play it.
+ * Timestamps are on the clock of the sequencer, and are moved onto the clock of the audio
+ * context. As with a MIDI port, a message without a timestamp plays right away.
+ * @param {Synth} synth
+ * @param {Object} clock The clock of the sequencer. See createSequencer().
+ * @return {Object} An output with an id, a name, open() and send(data, timestamp).
+ */
+export function createInternalOutput(synth, clock) {
+  return {
+    id: INTERNAL_OUTPUT_ID,
+    name: 'Internal',
+    // browsers only let audio start once the page has been interacted with
+    open: () => synth.context.resume(),
+    send: (data, timestamp) => {
+      const delay = timestamp === undefined ? 0 : Math.max(timestamp - clock.now(), 0);
+      playSynthMessage(synth, data, synth.context.currentTime + (delay / 1000));
+    },
+  };
+}
+
+function createNoiseBuffer(context) {
+  const random = createRandomNumberGenerator(NOISE_SEED);
+  const buffer = context.createBuffer(1, context.sampleRate * NOISE_LENGTH, context.sampleRate);
+  const samples = buffer.getChannelData(0);
+  for (var i = 0; i < samples.length; i++) {
+    samples[i] = (random() * 2) - 1;
+  }
+  return buffer;
+}
+
+/////////////////////////// QUERY DATA ////////////////////////////
+
+/**
+ * @param {integer} noteNumber
+ * @return {number} Frequency in hertz, with note 69 tuned to 440.
+ */
+export function getNoteFrequency(noteNumber) {
+  return 440 * (2 ** ((noteNumber - 69) / 12));
+}
+
+function getHeldNoteKey(midiChannel, noteNumber) {
+  return `${midiChannel}:${noteNumber}`;
+}
+
+/////////////////////////// PLAYBACK ////////////////////////////
+
+/**
+ * Play a MIDI message. Only note messages make a sound, so clock and transport messages are
+ * ignored. As in MIDI, a note-on with a velocity of zero is a note-off.
+ * @param {Synth} synth
+ * @param {Array<integer>} data
+ * @param {number} time In seconds, on the clock of the audio context.
+ */
+export function playSynthMessage(synth, data, time) {
+  const status = data[0] & 0xF0;
+  const midiChannel = (data[0] & 0x0F) + 1;
+  if (status === MIDI_NOTE_ON && data[2] > 0) {
+    startSynthNote(synth, midiChannel, data[1], data[2], time);
+  } else if (status === MIDI_NOTE_ON || status === MIDI_NOTE_OFF) {
+    stopSynthNote(synth, midiChannel, data[1], time);
+  }
+}
+
+/**
+ * A note with a sample plays the sample, on any channel. Otherwise, drums and samples play
+ * through to the end of their sound, while the pitched voice holds until its note-off, so
+ * that it follows the gate of the step.
+ * @param {Synth} synth
+ * @param {integer} midiChannel
+ * @param {integer} noteNumber
+ * @param {integer} velocity
+ * @param {number} time In seconds, on the clock of the audio context.
+ */
+export function startSynthNote(synth, midiChannel, noteNumber, velocity, time) {
+  const level = velocity / MIDI_MAX_VELOCITY;
+  const sample = synth.samples.get(noteNumber);
+  if (sample) {
+    playSample(synth, time, level, sample);
+    return;
+  }
+  const playDrum = midiChannel === DRUM_CHANNEL ? DRUM_VOICES[noteNumber] : undefined;
+  if (playDrum) {
+    playDrum(synth, time, level, noteNumber);
+    return;
+  }
+  const key = getHeldNoteKey(midiChannel, noteNumber);
+  const heldNotes = synth.heldNotes.get(key) ?? [];
+  heldNotes.push(startPitchedVoice(synth, time, level, noteNumber));
+  synth.heldNotes.set(key, heldNotes);
+}
+
+/**
+ * Release the longest held pitched voice of the note, if there is one.
+ * @param {Synth} synth
+ * @param {integer} midiChannel
+ * @param {integer} noteNumber
+ * @param {number} time In seconds, on the clock of the audio context.
+ */
+export function stopSynthNote(synth, midiChannel, noteNumber, time) {
+  const key = getHeldNoteKey(midiChannel, noteNumber);
+  const voice = synth.heldNotes.get(key)?.shift();
+  if (synth.heldNotes.get(key)?.length === 0) {
+    synth.heldNotes.delete(key);
+  }
+  if (voice) {
+    voice.gain.gain.setTargetAtTime(0, time, PITCHED_VOICE_RELEASE / 3);
+    voice.oscillator.stop(time + PITCHED_VOICE_RELEASE * 2);
+  }
+}
+
+//////////////////////////// VOICES ////////////////////////////
+
+function playSample(synth, time, level, sample) {
+  const source = synth.context.createBufferSource();
+  source.buffer = sample.buffer;
+  const gain = synth.context.createGain();
+  gain.gain.value = level;
+  source.connect(gain);
+  gain.connect(synth.output);
+  source.start(time);
+}
+
+function startPitchedVoice(synth, time, level, noteNumber) {
+  const oscillator = synth.context.createOscillator();
+  oscillator.type = 'triangle';
+  oscillator.frequency.value = getNoteFrequency(noteNumber);
+  const gain = synth.context.createGain();
+  gain.gain.setValueAtTime(0, time);
+  gain.gain.linearRampToValueAtTime(level, time + PITCHED_VOICE_ATTACK);
+  oscillator.connect(gain);
+  gain.connect(synth.output);
+  oscillator.start(time);
+  return { oscillator, gain };
+}
+
+/**
+ * A gain that starts at the level and dies away over the decay, into the synth output.
+ * @param {Synth} synth
+ * @param {number} time
+ * @param {number} level
+ * @param {number} decay In seconds.
+ * @return {GainNode}
+ */
+function createDecay(synth, time, level, decay) {
+  const gain = synth.context.createGain();
+  gain.gain.setValueAtTime(level, time);
+  gain.gain.exponentialRampToValueAtTime(SILENCE, time + decay);
+  gain.connect(synth.output);
+  return gain;
+}
+
+/**
+ * A tone that falls in pitch as it dies away, as a drum head does.
+ */
+function playFallingTone(synth, time, level, startFrequency, endFrequency, decay, type) {
+  const oscillator = synth.context.createOscillator();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(startFrequency, time);
+  oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + decay);
+  oscillator.connect(createDecay(synth, time, level, decay));
+  oscillator.start(time);
+  oscillator.stop(time + decay);
+}
+
+/**
+ * Filtered noise, for everything without a clear pitch.
+ * @param {Synth} synth
+ * @param {number} time
+ * @param {number} level
+ * @param {number} decay In seconds.
+ * @param {string} filterType Type of a BiquadFilterNode.
+ * @param {number} frequency Of the filter, in hertz.
+ */
+function playNoise(synth, time, level, decay, filterType, frequency) {
+  const source = synth.context.createBufferSource();
+  source.buffer = synth.noiseBuffer;
+  const filter = synth.context.createBiquadFilter();
+  filter.type = filterType;
+  filter.frequency.value = frequency;
+  source.connect(filter);
+  filter.connect(createDecay(synth, time, level, decay));
+  source.start(time);
+  source.stop(time + decay);
+}
+
+function playKick(synth, time, level) {
+  playFallingTone(synth, time, level, 150, 45, 0.4, 'sine');
+}
+
+function playSnare(synth, time, level) {
+  playFallingTone(synth, time, level * 0.6, 220, 160, 0.1, 'triangle');
+  playNoise(synth, time, level, 0.2, 'highpass', 1500);
+}
+
+function playRimShot(synth, time, level) {
+  playFallingTone(synth, time, level * 0.5, 1700, 1600, 0.03, 'square');
+  playNoise(synth, time, level * 0.5, 0.03, 'bandpass', 2500);
+}
+
+function playClap(synth, time, level) {
+  // a few hands, slightly apart, and then the room
+  for (const offset of [0, 0.01, 0.02]) {
+    playNoise(synth, time + offset, level, 0.02, 'bandpass', 1200);
+  }
+  playNoise(synth, time + 0.03, level * 0.7, 0.15, 'bandpass', 1200);
+}
+
+function playClosedHiHat(synth, time, level) {
+  playNoise(synth, time, level * 0.6, 0.05, 'highpass', 7000);
+}
+
+function playOpenHiHat(synth, time, level) {
+  playNoise(synth, time, level * 0.6, 0.3, 'highpass', 7000);
+}
+
+function playTom(synth, time, level, noteNumber) {
+  // the General MIDI toms rise with the note number, from low floor tom to high tom
+  const frequency = getNoteFrequency(noteNumber);
+  playFallingTone(synth, time, level, frequency * 2, frequency, 0.3, 'sine');
+}
+
+/////////////////////////// AUDIO FILE ////////////////////////////
+
+/**
+ * Render the notes of createNoteEvents() to audio, with the internal voices and samples. The
+ * audio lasts exactly as long as the repetitions, so that it loops cleanly, which cuts off
+ * any sound still ringing at the end.
+ * @param {Sequencer} sequencer
+ * @param {integer} repetitions Repetitions of the loop, see getMidiFileLoopLength().
+ * @param {Map<integer, Sample>} samples See createSynth().
+ * @return {Promise<AudioBuffer>}
+ */
+export function renderAudio(sequencer, repetitions, samples = new Map()) {
+  const { length, noteEvents } = createNoteEvents(sequencer, repetitions);
+  const tickLength = getMidiFileTickLength(sequencer) / 1000;
+  const context = new OfflineAudioContext(
+    1,
+    Math.max(Math.round(length * tickLength * AUDIO_FILE_SAMPLE_RATE), 1),
+    AUDIO_FILE_SAMPLE_RATE,
+  );
+  const synth = createSynth(context, samples);
+  for (const event of sortNoteEvents([...noteEvents.values()].flat())) {
+    playSynthMessage(synth, event.data, event.tick * tickLength);
+  }
+  return context.startRendering();
+}
+
+/**
+ * Encode audio as a WAV file of 16-bit PCM.
+ * See http://soundfile.sapp.org/doc/WaveFormat/
+ * @param {AudioBuffer} audioBuffer
+ * @return {Uint8Array}
+ */
+export function createWavFile(audioBuffer) {
+  const channels = Array.from(
+    { length: audioBuffer.numberOfChannels },
+    (_channel, channelIdx) => audioBuffer.getChannelData(channelIdx),
+  );
+  const frameSize = channels.length * AUDIO_FILE_BYTES_PER_SAMPLE;
+  const dataLength = audioBuffer.length * frameSize;
+  const view = new DataView(new ArrayBuffer(44 + dataLength));
+  setAscii(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  setAscii(view, 8, 'WAVE');
+  setAscii(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // length of the format chunk
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, audioBuffer.sampleRate, true);
+  view.setUint32(28, audioBuffer.sampleRate * frameSize, true);
+  view.setUint16(32, frameSize, true);
+  view.setUint16(34, AUDIO_FILE_BYTES_PER_SAMPLE * 8, true);
+  setAscii(view, 36, 'data');
+  view.setUint32(40, dataLength, true);
+  var offset = 44;
+  for (var frame = 0; frame < audioBuffer.length; frame++) {
+    for (const samples of channels) {
+      const value = Math.min(Math.max(samples[frame], -1), 1);
+      view.setInt16(offset, value < 0 ? value * 0x8000 : value * 0x7FFF, true);
+      offset += AUDIO_FILE_BYTES_PER_SAMPLE;
+    }
+  }
+  return new Uint8Array(view.buffer);
+}
+
+function setAscii(view, offset, text) {
+  for (var i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
@@ -0,0 +1,3017 @@
+/**
+ * Cyclochron: A Circular Sequencer
+ * Copyright (C) 2021 Bill Fisher
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The sequencer engine: cycles and their beats, the rhythm generators, rotation, patterns
+ * and the scheduling of MIDI messages. Nothing here touches the DOM, so the engine runs in
+ * Node as well as in the browser. Everything that plays lives in a sequencer, along with
+ * the clock it reads and the MIDI output it sends to, both of which can be swapped out.
+ * See createSequencer().
+ *
+ *   import { createSequencer, createCycle, startPlayback } from './cyclochron-core.js';
+ *
+ *   const sequencer = createSequencer({ midiOutput: { send: console.log } });
+ *   sequencer.cycles.push(createCycle(16, 60, 1));
+ *   startPlayback(sequencer);
+ */
+
+export const MIDI_NOTE_ON = 144; // 0x90;
+export const MIDI_NOTE_OFF = 128; // 0x80;
+export const MIDI_CONTROL_CHANGE = 176; // 0xB0;
+export const MIDI_MAX_VELOCITY = 127; // 0x7F;
+
+export const MIDI_CLOCK = 248; // 0xF8;
+export const MIDI_START = 250; // 0xFA;
+export const MIDI_CONTINUE = 251; // 0xFB;
+export const MIDI_STOP = 252; // 0xFC;
+export const MIDI_SONG_POSITION_POINTER = 242; // 0xF2;
+export const MIDI_SYSTEM_MESSAGE = 240; // 0xF0; status bytes from here on have no channel
+export const MIDI_CLOCKS_PER_QUARTER_NOTE = 24;
+export const MIDI_CLOCKS_PER_SONG_POSITION = 6; // song positions count sixteenth notes
+export const MAX_MIDI_SONG_POSITION = 16383; // fourteen bits
+export const MAX_MIDI_CLOCK_MESSAGES_PER_STEP = 96;
+
+export const MIDI_FILE_TICKS_PER_QUARTER_NOTE = 480;
+export const MIDI_FILE_SINGLE_TRACK = 0; // format 0, every cycle in one track
+export const MIDI_FILE_MULTIPLE_TRACKS = 1; // format 1, a tempo track followed by a track per cycle
+export const MIDI_META_EVENT = 255; // 0xFF;
+export const MIDI_META_TEMPO = 81; // 0x51;
+export const MIDI_META_TIME_SIGNATURE = 88; // 0x58;
+export const MIDI_META_END_OF_TRACK = 47; // 0x2F;
+export const MAX_MIDI_FILE_TEMPO = 16777215; // 0xFFFFFF; microseconds per quarter note
+export const MAX_MIDI_FILE_LOOP_TICKS = 16 * 4 * MIDI_FILE_TICKS_PER_QUARTER_NOTE; // 16 bars of 4/4
+
+export const PATTERN_FILE_VERSION = 1; // see createPatternFile()
+export const URL_HASH_VERSION = '1'; // see encodePatternHash()
+
+export const INTERNAL_CLOCK = 'internal';
+export const EXTERNAL_CLOCK = 'external'; // steps follow clock messages from the MIDI input
+
+export const SCHEDULER_INTERVAL = 25; // milliseconds between each wake up of the scheduler
+export const SCHEDULE_AHEAD_TIME = 100; // milliseconds of MIDI messages to queue ahead of now
+export const SCHEDULED_BEAT_HISTORY_LENGTH = 32; // beats of each cycle kept for live recording
+
+export const MAX_CYCLES = 4;
+export const MIN_BEATS = 2; // beats in a cycle
+export const MAX_BEATS = 256;
+export const DEFAULT_BPM = 120;
+export const MIN_BPM = 20;
+export const MAX_BPM = 300;
+
+export const POLYMETER = 'polymeter'; // every cycle shares the same step length
+export const POLYRHYTHM = 'polyrhythm'; // every cycle shares the length of the first cycle
+
+// Sixteenth notes in each step of a cycle, keyed by the step resolution of the cycle.
+export const STEP_RESOLUTIONS = {
+  eighth: 2,
+  dottedEighth: 3,
+  eighthTriplet: 4 / 3,
+  sixteenth: 1,
+  dottedSixteenth: 3 / 2,
+  sixteenthTriplet: 2 / 3,
+  thirtySecond: 1 / 2,
+  dottedThirtySecond: 3 / 4,
+  thirtySecondTriplet: 1 / 3,
+};
+export const DEFAULT_STEP_RESOLUTION = 'sixteenth';
+export const METER_BEAT_UNITS = [2, 4, 8, 16];
+export const MAX_METER_BEATS = 32;
+
+export const SYMMETRICAL_GENERATOR = 'symmetrical'; // bilateral symmetry within max rests and repeats
+export const EUCLIDEAN_GENERATOR = 'euclidean'; // pulses spread by Bjorklund's algorithm, then rotated
+export const MAXIMALLY_EVEN_GENERATOR = 'maximallyEven'; // pulses spread as timelines like the clave
+
+export const MAX_SEED = 999999; // new seeds are kept short enough to read out and type back in
+export const DEFAULT_PULSES = 5;
+
+// Trigger conditions decide which passes through a cycle play an active beat, as on hardware
+// sequencers. A ratio such as '1:4' plays on the first of every four passes.
+export const TRIG_CONDITION_NOT_FIRST = 'notFirst'; // every pass but the first
+export const TRIG_CONDITION_FILL = 'fill'; // only while a fill is playing
+export const TRIG_CONDITION_PREVIOUS = 'previous'; // only when the last condition was met
+export const MAX_TRIG_CONDITION_PASSES = 8; // longest ratio, as in '1:8'
+
+export const MIN_SWING = 50; // straight
+export const MAX_SWING = 75; // dotted
+
+// At full gravitational pull, a step is at most this many times longer or shorter than the
+// length that fits the downbeats it shares with the first cycle. See getPulledCycleBeatLength().
+export const MAX_GRAVITATIONAL_PULL_STRETCH = 2;
+
+/**
+ * Groove templates repeat across the steps of the timeline. Timing offsets are fractions of
+ * a step, where positive values are late. Velocity offsets are added to each beat's velocity.
+ */
+export const GROOVE_TEMPLATES = {
+  none: {
+    timing: [0],
+    velocity: [0],
+  },
+  accent: {
+    timing: [0, 0, 0, 0],
+    velocity: [0, -30, -15, -30],
+  },
+  laidBack: {
+    timing: [0, 0.08, 0.04, 0.12],
+    velocity: [0, -20, -10, -20],
+  },
+  pushed: {
+    timing: [0, -0.06, -0.03, -0.08],
+    velocity: [0, -10, -5, -15],
+  },
+  human: {
+    timing: [0, 0.03, -0.02, 0.04, 0.01, -0.03, 0.02, 0.05, 0, 0.02, -0.01, 0.04, -0.02, 0.01, 0.03, 0.06],
+    velocity: [0, -12, -6, -18, -3, -15, -8, -20, -2, -10, -5, -16, -4, -14, -9, -22],
+  },
+};
+
+/////////////////////////// CREATE DATA /////////////////////////
+
+/**
+ * Create a sequencer, which holds the cycles and everything else that shapes how they play.
+ * @param {Object} options
+ * @param {Object} options.clock Provides now(), setInterval() and clearInterval(), with
+ * times comparable to those accepted by the MIDI output. Defaults to performance.now().
+ * @param {MIDIOutput|null} options.midiOutput Anything with a send(data, timestamp) method.
+ * @param {Function|null} options.onStepScheduled Called with each step as it is scheduled,
+ * as { cycle, idx, time, duration, active, phaseError }, so that a UI can show it once its
+ * time arrives. See getCyclePhaseError().
+ * @param {Function|null} options.onSongEntryStarted Called with the index of a song entry as
+ * soon as its pattern replaces the cycles, which is ahead of the time it is heard.
+ * @param {Function|null} options.onSongPositionScheduled Called with each clock step of a
+ * song as it is scheduled, as { time, ...getSongPosition() }.
+ * @param {Function|null} options.onCyclePassScheduled Called with a cycle once the last step
+ * of a pass through its beats is scheduled. Changes to its beats are heard from the next pass.
+ * @return {Sequencer}
+ */
+export function createSequencer({
+  clock,
+  midiOutput = null,
+  onStepScheduled = null,
+  onSongEntryStarted = null,
+  onSongPositionScheduled = null,
+  onCyclePassScheduled = null,
+} = {}) {
+  return {
+    cycles: [],
+    polyMode: POLYMETER,
+    bpm: DEFAULT_BPM, // beats of the meter per minute, or quarter notes when there is no meter
+    meter: null, // { beatsPerBar, beatUnit }, where a beat unit of 8 means eighth notes
+    beatDurationPercentage: 0.5,
+    swing: MIN_SWING, // percentage of each pair of steps taken by the first step
+    grooveTemplate: 'none', // key of GROOVE_TEMPLATES
+    gravitationalPull: 0, // from 0 to 1, see getPulledCycleBeatLength()
+
+    midiOutput,
+    isSendingClock: true,
+    midiClockMessagesPerStep: 6, // clock messages sent in each step, 6 for sixteenth notes
+    isSendingTransport: true, // start, stop, continue and song position messages
+
+    clockSource: INTERNAL_CLOCK,
+    externalClockTickCount: 0, // ticks received since the last start message, while playing
+    externalClockTickTimes: [], // timestamps of the most recent ticks, used to derive tempo
+
+    isPlaying: false,
+    isFillActive: false, // beats with the fill condition play, see isTrigConditionMet()
+    pause: null, // where playback was paused, see pausePlayback()
+    queuedNoteOffs: [], // { data, time } of note-offs sent ahead of time, see sendNote()
+    schedulerIntervalID: null,
+    clockTimeline: createTimeline(),
+    song: createSong(),
+
+    clock: clock ?? {
+      now: () => performance.now(),
+      setInterval: (callback, interval) => setInterval(callback, interval),
+      clearInterval: intervalID => clearInterval(intervalID),
+    },
+    onStepScheduled,
+    onSongEntryStarted,
+    onSongPositionScheduled,
+    onCyclePassScheduled,
+  };
+}
+
+/**
+ * Create a beat with default note parameters. A null noteNumber or gate means the beat
+ * follows the note number and beat duration percentage of the whole cycle.
+ * @param {boolean} active
+ * @return {Beat}
+ */
+export function createBeat(active) {
+  return {
+    active,
+    velocity: MIDI_MAX_VELOCITY,
+    noteNumber: null,
+    gate: null, // fraction of the beat length before the note-off
+    probability: 1, // chance the beat is played when it is active
+    condition: null, // trigger condition, see isTrigConditionMet()
+  };
+}
+
+/**
+ * A timeline measures the times of a series of equal steps from a fixed origin time.
+ * See scheduleTimeline().
+ * @return {Timeline}
+ */
+export function createTimeline() {
+  return {
+    originTime: 0, // time from which all step times are measured
+    stepCount: 0, // steps scheduled since the origin time
+    stepLength: 0, // step length used to measure from the origin time
+    stepNumber: 0, // steps scheduled since playback started, used by swing and groove
+    nextTick: 0, // external clock tick of the next step, see scheduleStepsForExternalClockTick()
+  };
+}
+
+/**
+ * Create a cycle, which has its own beats, note, channel and rotation.
+ * @param {integer} beatCount 
+ * @param {integer} noteNumber
+ * @param {integer} midiChannel
+ * @return {Cycle}
+ */
+export function createCycle(beatCount, noteNumber, midiChannel) {
+  const cycle = {
+    beats: [],
+    cachedBeats: [],
+    noteNumber,
+    midiChannel,
+    stepResolution: DEFAULT_STEP_RESOLUTION, // key of STEP_RESOLUTIONS
+
+    firstBeatIndex: 0,
+    currentBeatIndex: 0,
+    isLineOfSymmetryBetweenBeats: false,
+    childCycleIndex: null, // cycle triggered by the active beats, instead of notes
+
+    rotationDegrees: 0, // the true degrees of rotation, while rotating
+    snapDegrees: 0, // degrees of rotation to snap to
+
+    timeline: createTimeline(),
+    scheduledBeatTimes: [], // the most recently scheduled beats, in time order
+    triggeredStepsLeft: 0, // steps left of the pass started by the last trigger
+    passCount: 0, // passes through the beats scheduled since the cycle started
+    isLastConditionMet: false, // whether the last trigger condition checked was met
+  };
+  addBeats(cycle, beatCount);
+  return cycle;
+}
+
+/**
+ * Create a pattern, which is a named copy of everything needed to play the cycles again:
+ * their beats, notes, channels and rotation, along with the tempo, groove and the settings
+ * of the rhythm generator. Patterns are plain data, so they can be stored as JSON.
+ * @param {Sequencer} sequencer
+ * @param {string} name
+ * @param {Object} generator The maxRests, maxRepeats and allowOffbeatSymmetry settings.
+ * @return {Pattern}
+ */
+export function createPattern(sequencer, name, generator) {
+  return {
+    name,
+    bpm: sequencer.bpm,
+    swing: sequencer.swing,
+    grooveTemplate: sequencer.grooveTemplate,
+    gravitationalPull: sequencer.gravitationalPull,
+    polyMode: sequencer.polyMode,
+    meter: sequencer.meter && { ...sequencer.meter },
+    beatDurationPercentage: sequencer.beatDurationPercentage,
+    generator: { ...generator },
+    cycles: sequencer.cycles.map(cycle => ({
+      beats: cycle.beats.map(beat => ({ ...beat })),
+      noteNumber: cycle.noteNumber,
+      midiChannel: cycle.midiChannel,
+      stepResolution: cycle.stepResolution,
+      firstBeatIndex: cycle.firstBeatIndex,
+      isLineOfSymmetryBetweenBeats: cycle.isLineOfSymmetryBetweenBeats,
+      childCycleIndex: cycle.childCycleIndex,
+    })),
+  };
+}
+
+/**
+ * Copy the cycles as they are, so that an edit can be undone. Unlike a pattern, the copy
+ * keeps the cached beats of each cycle and the exact angle of its ring.
+ * See restoreCyclesSnapshot().
+ * @param {Sequencer} sequencer
+ * @return {Array<Object>}
+ */
+export function createCyclesSnapshot(sequencer) {
+  return sequencer.cycles.map(cycle => ({
+    beats: cycle.beats.map(beat => ({ ...beat })),
+    cachedBeats: cycle.cachedBeats.map(beat => ({ ...beat })),
+    noteNumber: cycle.noteNumber,
+    midiChannel: cycle.midiChannel,
+    stepResolution: cycle.stepResolution,
+    firstBeatIndex: cycle.firstBeatIndex,
+    rotationDegrees: cycle.rotationDegrees,
+    snapDegrees: cycle.snapDegrees,
+    isLineOfSymmetryBetweenBeats: cycle.isLineOfSymmetryBetweenBeats,
+    childCycleIndex: cycle.childCycleIndex,
+  }));
+}
+
+/**
+ * Create the contents of an exported pattern file. The version is there so that later
+ * versions of the file can still be read.
+ * @param {Array<Pattern>} patterns
+ * @return {Object}
+ */
+export function createPatternFile(patterns) {
+  return {
+    version: PATTERN_FILE_VERSION,
+    patterns,
+  };
+}
+
+/**
+ * A song is an ordered chain of patterns, each playing for its number of repeats before the
+ * next takes over, and looping back to the first after the last. See scheduleSteps().
+ * @return {Song}
+ */
+export function createSong() {
+  return {
+    entries: [], // see createSongEntry()
+    isEnabled: false, // whether playback follows the song, rather than looping the cycles
+    isStarted: false, // whether the song was started when playback last started
+    entryIndex: 0, // index of the entry playing, which is where the song carries on from
+    entry: null, // entry playing, which may since have been removed from the song
+    entryStartStep: 0, // clock step at which the entry playing started
+    entryEndStep: 0, // clock step at which the next entry starts
+  };
+}
+
+/**
+ * @param {Pattern} pattern
+ * @param {integer} repeats Times the first cycle of the pattern plays through.
+ * @return {Object}
+ */
+export function createSongEntry(pattern, repeats) {
+  return {
+    pattern,
+    repeats,
+  };
+}
+
+/**
+ * Create an output that passes every message on to several outputs, such as MIDI ports, so
+ * that it can be the MIDI output of a sequencer. A route with a channel moves the notes of
+ * every cycle to that channel, and a route without one keeps the channel of each cycle.
+ * Clock and transport messages go to every route as they are. A port that has been
+ * disconnected is skipped until the routes are made again, since sending to it would throw.
+ * @param {Array<Object>} routes Each as { output, channel }, with a channel from 1 to 16, or
+ * null.
+ * @return {Object} An output with the routes, a send(data, timestamp) method, and a clear()
+ * method that clears the messages queued by the outputs that support it.
+ */
+export function createMidiRouter(routes) {
+  return {
+    routes,
+    send: (data, timestamp) => {
+      for (const route of routes) {
+        if (route.output.state !== 'disconnected') {
+          route.output.send(getRoutedMidiMessage(data, route.channel), timestamp);
+        }
+      }
+    },
+    clear: () => {
+      for (const route of routes) {
+        route.output.clear?.();
+      }
+    },
+  };
+}
+
+export function addBeats(cycle, count) {
+  for (var i = 0; i < count; i++) {
+    cycle.beats.push(createBeat(false));
+  }
+}
+
+/**
+ * Create a random number generator whose sequence is determined by the seed, using the
+ * mulberry32 generator.
+ * See https://gist.github.com/tommyettinger/46a874533244883189143505d203312c
+ * @param {integer} seed
+ * @return {Function} Returns a number from 0 up to 1 on each call, like Math.random().
+ */
+export function createRandomNumberGenerator(seed) {
+  var value = seed >>> 0;
+  return () => {
+    value = (value + 0x6D2B79F5) >>> 0;
+    var t = Math.imul(value ^ (value >>> 15), value | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+
+///////////////////////// QUERY DATA ////////////////////////////
+
+export function isBeatActive(cycle, idx) {
+  return cycle.beats[idx]
+    ? cycle.beats[idx].active
+    : false;
+}
+
+export function getBeatNoteNumber(cycle, idx) {
+  return cycle.beats[idx]?.noteNumber ?? cycle.noteNumber;
+}
+
+export function getBeatGate(sequencer, cycle, idx) {
+  return cycle.beats[idx]?.gate ?? sequencer.beatDurationPercentage;
+}
+
+/**
+ * Decide whether an active beat is played this time around, based on its trigger condition
+ * and then its probability.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {integer} idx
+ * @param {Object} loop The passCount and isLastConditionMet of the cycle, which are kept
+ * separately when exporting. The beat's condition updates isLastConditionMet.
+ * @return {boolean}
+ */
+export function shouldPlayBeat(sequencer, cycle, idx, loop = cycle) {
+  if (!isBeatActive(cycle, idx)) {
+    return false;
+  }
+  const condition = cycle.beats[idx].condition;
+  if (condition) {
+    const isMet = isTrigConditionMet(sequencer, condition, loop);
+    if (condition !== TRIG_CONDITION_PREVIOUS) {
+      loop.isLastConditionMet = isMet;
+    }
+    if (!isMet) {
+      return false;
+    }
+  }
+  return Math.random() < cycle.beats[idx].probability;
+}
+
+/**
+ * A ratio condition of a:b is met on pass a of every b passes, counting from the first pass
+ * after the cycle started. The previous condition is met when the last beat of the cycle
+ * with any other condition was met, and is not met before then.
+ * @param {Sequencer} sequencer
+ * @param {string} condition See readTrigCondition().
+ * @param {Object} loop See shouldPlayBeat().
+ * @return {boolean}
+ */
+export function isTrigConditionMet(sequencer, condition, loop) {
+  switch (condition) {
+    case TRIG_CONDITION_NOT_FIRST:
+      return loop.passCount > 0;
+    case TRIG_CONDITION_FILL:
+      return sequencer.isFillActive;
+    case TRIG_CONDITION_PREVIOUS:
+      return loop.isLastConditionMet;
+    default: {
+      const [pass, passes] = condition.split(':').map(Number);
+      return loop.passCount % passes === pass - 1;
+    }
+  }
+}
+
+/**
+ * @return {Array<string>} Every trigger condition, with the ratios first, shortest first.
+ */
+export function getTrigConditions() {
+  const conditions = [];
+  for (var passes = 2; passes <= MAX_TRIG_CONDITION_PASSES; passes++) {
+    for (var pass = 1; pass <= passes; pass++) {
+      conditions.push(`${pass}:${passes}`);
+    }
+  }
+  return conditions.concat([
+    TRIG_CONDITION_NOT_FIRST,
+    TRIG_CONDITION_FILL,
+    TRIG_CONDITION_PREVIOUS,
+  ]);
+}
+
+export function getNextBeatIndex(cycle, idx) {
+  return idx >= cycle.beats.length - 1
+    ? 0
+    : idx + 1;
+}
+
+export function getPreviousBeatIndex(cycle, idx) {
+  return idx === 0
+    ? cycle.beats.length - 1
+    : idx - 1;
+}
+
+/**
+ * The BPM counts the beat unit of the meter, so that 120 BPM in 7/8 is 120 eighth notes a
+ * minute. Without a meter, the BPM counts quarter notes.
+ * @param {Sequencer} sequencer
+ * @return {number} Length of a quarter note in milliseconds.
+ */
+export function getQuarterNoteLength(sequencer) {
+  const minute = 60 * 1000;
+  const beatUnit = sequencer.meter?.beatUnit ?? 4;
+  return (minute / sequencer.bpm) * (beatUnit / 4);
+}
+
+/**
+ * The clock steps in sixteenth notes, whatever the step resolution of the cycles, so that
+ * swing, groove, the MIDI clock and the song all keep to the same grid.
+ * @param {Sequencer} sequencer
+ * @return {number} Length of a clock step in milliseconds.
+ */
+export function getBeatLength(sequencer) {
+  return getQuarterNoteLength(sequencer) / 4;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @return {number|null} Length of a bar of the meter in milliseconds, or null when there is
+ * no meter.
+ */
+export function getBarLength(sequencer) {
+  const meter = sequencer.meter;
+  return meter && meter.beatsPerBar * getBeatLength(sequencer) * (16 / meter.beatUnit);
+}
+
+/**
+ * In a polymeter, each cycle steps at its own step resolution. In a polyrhythm, every cycle
+ * is stretched or squeezed to last as long as the first cycle, at the first cycle's step
+ * resolution.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @return {number} Length of each beat of the cycle in milliseconds.
+ */
+export function getCycleBeatLength(sequencer, cycle) {
+  if (sequencer.polyMode === POLYMETER) {
+    return getBeatLength(sequencer) * STEP_RESOLUTIONS[cycle.stepResolution];
+  }
+  const firstCycle = sequencer.cycles[0];
+  const cycleLength = getBeatLength(sequencer)
+    * STEP_RESOLUTIONS[firstCycle.stepResolution]
+    * firstCycle.beats.length;
+  return cycleLength / cycle.beats.length;
+}
+
+/**
+ * Where the bar lines of the meter fall in a cycle, counting bars from its first beat. A bar
+ * line between two steps has a fractional position.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @return {Array<number>} Positions in steps from the first beat, or none without a meter.
+ */
+export function getCycleBarPositions(sequencer, cycle) {
+  if (!sequencer.meter) {
+    return [];
+  }
+  const barSteps = getBarLength(sequencer) / getCycleBeatLength(sequencer, cycle);
+  const positions = [];
+  // allow for rounding, so that a cycle of exactly one bar has one bar line
+  for (var bar = 0; bar * barSteps < cycle.beats.length - 0.000001; bar++) {
+    positions.push(bar * barSteps);
+  }
+  return positions;
+}
+
+/**
+ * Steps are always measured from the origin time rather than from the previous step, so 
+ * that any lateness in the scheduler does not accumulate into drift.
+ * @param {Timeline} timeline
+ * @param {integer} stepCount Number of steps since the origin time.
+ * @return {number} Absolute time of the step, comparable to the sequencer's clock.
+ */
+export function getTimelineStepTime(timeline, stepCount) {
+  return timeline.originTime + (stepCount * timeline.stepLength);
+}
+
+/**
+ * Find the beat of the cycle that a note played at the given time belongs to, based on the
+ * beats that were scheduled most recently.
+ * @param {Cycle} cycle
+ * @param {number} time Timestamp of the note, comparable to the sequencer's clock.
+ * @param {boolean} useCurrentBeat Whether to use the beat playing at the given time, rather
+ * than the beat nearest to it.
+ * @return {integer|null} Index of the beat, or null if nothing has been scheduled yet.
+ */
+export function getBeatIndexAtTime(cycle, time, useCurrentBeat) {
+  const beatTimes = cycle.scheduledBeatTimes;
+  const nextBeatTimeIdx = beatTimes.findIndex(beatTime => beatTime.time > time);
+  const currentBeatTime = nextBeatTimeIdx === -1
+    ? beatTimes[beatTimes.length - 1]
+    : beatTimes[nextBeatTimeIdx - 1];
+  const nextBeatTime = beatTimes[nextBeatTimeIdx];
+  if (!currentBeatTime) {
+    return nextBeatTime?.idx ?? null;
+  }
+  if (useCurrentBeat || !nextBeatTime) {
+    return currentBeatTime.idx;
+  }
+  return time - currentBeatTime.time <= nextBeatTime.time - time
+    ? currentBeatTime.idx
+    : nextBeatTime.idx;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @return {number} Average time between the recent external clock ticks, or the tick length
+ * implied by the current BPM if there are not enough ticks to measure yet.
+ */
+export function getExternalClockTickLength(sequencer) {
+  const tickTimes = sequencer.externalClockTickTimes;
+  if (tickTimes.length < 2) {
+    return getBeatLength(sequencer) / getExternalClockTicksPerStep(sequencer);
+  }
+  return (tickTimes[tickTimes.length - 1] - tickTimes[0]) / (tickTimes.length - 1);
+}
+
+/**
+ * The external clock is read at the standard rate of MIDI_CLOCKS_PER_QUARTER_NOTE, whatever
+ * rate of clock messages is sent to the MIDI output. The steps of each cycle take as many
+ * ticks as their step resolution. See getCycleTicksPerBeat().
+ * @param {Sequencer} sequencer
+ * @return {number} Number of external clock ticks in each clock step.
+ */
+export function getExternalClockTicksPerStep(sequencer) {
+  return MIDI_CLOCKS_PER_QUARTER_NOTE / 4;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @return {number} Number of external clock ticks in each beat of the cycle. This is only a
+ * whole number when the cycle plays at the same rate as the clock.
+ */
+export function getCycleTicksPerBeat(sequencer, cycle) {
+  return getExternalClockTicksPerStep(sequencer)
+    * getCycleBeatLength(sequencer, cycle)
+    / getBeatLength(sequencer);
+}
+
+export function getGrooveTemplate(sequencer) {
+  return Object.hasOwn(GROOVE_TEMPLATES, sequencer.grooveTemplate)
+    ? GROOVE_TEMPLATES[sequencer.grooveTemplate]
+    : GROOVE_TEMPLATES.none;
+}
+
+/**
+ * Swing delays every other step. At 50% the steps are straight, at 66% they fall on
+ * triplets, and at 75% they are dotted, following the convention of drum machines.
+ * @param {Sequencer} sequencer
+ * @param {integer} stepNumber Steps since playback started.
+ * @param {number} stepLength
+ * @return {number} Delay of the step in milliseconds.
+ */
+export function getSwingOffset(sequencer, stepNumber, stepLength) {
+  if (stepNumber % 2 === 0) {
+    return 0;
+  }
+  return ((sequencer.swing * 2 / 100) - 1) * stepLength;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @param {integer} stepNumber Steps since playback started.
+ * @param {number} stepLength
+ * @return {number} Offset of the step from the timeline in milliseconds, from both swing
+ * and the groove template.
+ */
+export function getStepTimingOffset(sequencer, stepNumber, stepLength) {
+  const timingOffsets = getGrooveTemplate(sequencer).timing;
+  const grooveOffset = timingOffsets[stepNumber % timingOffsets.length] * stepLength;
+  return getSwingOffset(sequencer, stepNumber, stepLength) + grooveOffset;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {integer} idx
+ * @param {integer} stepNumber Steps since playback started.
+ * @return {integer} Velocity of the beat with the groove template applied.
+ */
+export function getStepVelocity(sequencer, cycle, idx, stepNumber) {
+  const velocityOffsets = getGrooveTemplate(sequencer).velocity;
+  const velocity = cycle.beats[idx].velocity + velocityOffsets[stepNumber % velocityOffsets.length];
+  return Math.min(Math.max(velocity, 1), MIDI_MAX_VELOCITY);
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @return {Cycle|null} The cycle that the active beats of this cycle trigger, if any.
+ */
+export function getChildCycle(sequencer, cycle) {
+  return cycle.childCycleIndex === null
+    ? null
+    : sequencer.cycles[cycle.childCycleIndex] ?? null;
+}
+
+/**
+ * A sequenced cycle only plays when another cycle triggers it. See triggerCycle().
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @return {boolean}
+ */
+export function isSequencedCycle(sequencer, cycle) {
+  return sequencer.cycles.some(otherCycle => getChildCycle(sequencer, otherCycle) === cycle);
+}
+
+/**
+ * A cycle can trigger another cycle, which can trigger another in turn, as long as the
+ * chain never leads back to where it started. Each cycle is triggered by at most one other,
+ * so that the passes through it never overlap.
+ * @param {Array<Object>} cycles The cycles of a sequencer or of a pattern.
+ * @param {integer} cycleIdx
+ * @param {integer|null} childCycleIndex Null for a cycle that plays notes.
+ * @return {boolean}
+ */
+export function canSequenceCycle(cycles, cycleIdx, childCycleIndex) {
+  if (childCycleIndex === null) {
+    return true;
+  }
+  const isTriggeredElsewhere = cycles.some((cycle, otherCycleIdx) =>
+    otherCycleIdx !== cycleIdx && cycle.childCycleIndex === childCycleIndex
+  );
+  if (isTriggeredElsewhere) {
+    return false;
+  }
+  var idx = childCycleIndex;
+  for (var depth = 0; idx !== null; depth++) {
+    // a chain longer than the number of cycles must go around in a loop
+    if (idx === cycleIdx || !cycles[idx] || depth >= cycles.length) {
+      return false;
+    }
+    idx = cycles[idx].childCycleIndex;
+  }
+  return true;
+}
+
+/**
+ * @param {Pattern} pattern
+ * @return {number} Clock steps in one repeat of the pattern, which is the length of its first
+ * cycle, as with the repetitions of a MIDI file. At some step resolutions, a repeat ends
+ * between two clock steps.
+ */
+export function getPatternStepCount(pattern) {
+  const firstCycle = pattern.cycles[0];
+  return firstCycle.beats.length * STEP_RESOLUTIONS[firstCycle.stepResolution];
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @return {boolean} Whether playback should start from the first entry of the song.
+ */
+export function isSongEnabled(sequencer) {
+  return sequencer.song.isEnabled && sequencer.song.entries.length > 0;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @return {boolean} Whether playback is following the song right now.
+ */
+export function isSongPlaying(sequencer) {
+  return sequencer.isPlaying && sequencer.song.isStarted && isSongEnabled(sequencer);
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @return {boolean} Whether playback is paused, ready to continue. See pausePlayback().
+ */
+export function isPlaybackPaused(sequencer) {
+  return sequencer.pause !== null;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @return {integer} The position of the next clock step as a MIDI song position, which counts
+ * sixteenth notes of MIDI_CLOCKS_PER_SONG_POSITION clock messages each since playback started.
+ */
+export function getMidiSongPosition(sequencer) {
+  const clockCount = sequencer.clockTimeline.stepNumber * sequencer.midiClockMessagesPerStep;
+  return Math.min(
+    Math.floor(clockCount / MIDI_CLOCKS_PER_SONG_POSITION),
+    MAX_MIDI_SONG_POSITION,
+  );
+}
+
+/**
+ * Where a clock step falls in the song, counting from zero.
+ * @param {Sequencer} sequencer
+ * @param {integer} stepNumber A clock step of the entry playing.
+ * @return {Object} The entryIndex, which is -1 once the entry is removed from the song, and
+ * the entryCount, repetition, repeats, step and stepCount.
+ */
+export function getSongPosition(sequencer, stepNumber) {
+  const song = sequencer.song;
+  const stepCount = getPatternStepCount(song.entry.pattern);
+  const entryStep = stepNumber - song.entryStartStep;
+  return {
+    entryIndex: song.entries.indexOf(song.entry),
+    entryCount: song.entries.length,
+    repetition: Math.floor(entryStep / stepCount),
+    repeats: song.entry.repeats,
+    step: Math.floor(entryStep % stepCount),
+    stepCount: Math.ceil(stepCount),
+  };
+}
+
+/**
+ * @param {Cycle} cycle
+ * @param {integer} idx
+ * @return {integer} Steps from the first beat of the cycle to the beat.
+ */
+export function getStepsFromFirstBeat(cycle, idx) {
+  return (idx - cycle.firstBeatIndex + cycle.beats.length) % cycle.beats.length;
+}
+
+/**
+ * A cycle shares a downbeat with the first cycle once every pass of the longer of the two.
+ * The shorter cycle fits a whole number of passes into the longer one, the nearest number
+ * to its own length, so a cycle of 7 steps shares every other downbeat with a cycle of 16.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @return {number} Passes of the cycle in each pass of the first cycle, either a whole
+ * number or one over a whole number.
+ */
+function getCyclePassesPerReferencePass(sequencer, cycle) {
+  const referenceCycle = sequencer.cycles[0];
+  const ratio = (getCycleBeatLength(sequencer, referenceCycle) * referenceCycle.beats.length)
+    / (getCycleBeatLength(sequencer, cycle) * cycle.beats.length);
+  return ratio >= 1 ? Math.round(ratio) : 1 / Math.round(1 / ratio);
+}
+
+/**
+ * The phase of a cycle is how far it has come around from its first beat, as a fraction of
+ * the cycle. The phase error is how far the first cycle is ahead of this cycle, at the time
+ * of one of its steps, measured to the nearest downbeat that they share and wrapped to the
+ * nearer way around. See getCyclePassesPerReferencePass(). Zero means their downbeats line
+ * up. Only the internal clock keeps the timelines this is measured from.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {integer} idx Index of the beat at the step.
+ * @param {number} timelineTime Timestamp of the step on the timeline.
+ * @return {number|null} A fraction of the cycle, from -0.5 to 0.5, or null when there is
+ * nothing to compare with, as for the first cycle itself and for sequenced cycles.
+ */
+export function getCyclePhaseError(sequencer, cycle, idx, timelineTime) {
+  const referenceCycle = sequencer.cycles[0];
+  if (
+    !sequencer.isPlaying
+    || sequencer.clockSource === EXTERNAL_CLOCK
+    || cycle === referenceCycle
+    || isSequencedCycle(sequencer, cycle)
+    || isSequencedCycle(sequencer, referenceCycle)
+  ) {
+    return null;
+  }
+  // the first cycle has usually been scheduled beyond this step, so count back from its next step
+  const referenceTimeline = referenceCycle.timeline;
+  const stepsToNextReferenceStep = (
+    getTimelineStepTime(referenceTimeline, referenceTimeline.stepCount) - timelineTime
+  ) / referenceTimeline.stepLength;
+  const referencePhase = (
+    getStepsFromFirstBeat(referenceCycle, referenceCycle.currentBeatIndex)
+      - stepsToNextReferenceStep
+  ) / referenceCycle.beats.length;
+  const phase = getStepsFromFirstBeat(cycle, idx) / cycle.beats.length;
+  const passes = getCyclePassesPerReferencePass(sequencer, cycle);
+  const wrap = difference => difference - Math.round(difference);
+  // a cycle longer than the first is measured to whichever downbeat of the first is nearer
+  return passes >= 1
+    ? wrap((referencePhase * passes) - phase)
+    : wrap(referencePhase - (phase / passes)) * passes;
+}
+
+/**
+ * Gravitational pull draws the downbeats of every cycle toward those of the first cycle.
+ * The steps of a cycle are stretched toward the length that fits its passes exactly into the
+ * passes of the first cycle, fully so at full pull. A cycle that is behind then has its next
+ * step shortened, and a cycle that is ahead has its next step lengthened, in proportion to
+ * the phase error and the strength of the pull. At full pull each cycle settles onto the
+ * downbeats it shares with the first cycle. With less pull it settles short of them, or
+ * drifts in and out of alignment when the pull is too weak to hold it, rather than keeping
+ * to the grid of the clock.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {integer} idx Index of the beat at the step.
+ * @param {number} timelineTime Timestamp of the step on the timeline.
+ * @return {number} Length of the step in milliseconds.
+ */
+export function getPulledCycleBeatLength(sequencer, cycle, idx, timelineTime) {
+  const beatLength = getCycleBeatLength(sequencer, cycle);
+  const phaseError = getCyclePhaseError(sequencer, cycle, idx, timelineTime);
+  if (phaseError === null) {
+    return beatLength;
+  }
+  const pull = sequencer.gravitationalPull;
+  const referenceCycle = sequencer.cycles[0];
+  const sharedBeatLength = getCycleBeatLength(sequencer, referenceCycle)
+    * referenceCycle.beats.length
+    / (getCyclePassesPerReferencePass(sequencer, cycle) * cycle.beats.length);
+  const stretch = -2 * pull * phaseError;
+  return Math.pow(beatLength, 1 - pull)
+    * Math.pow(sharedBeatLength, pull)
+    * Math.pow(MAX_GRAVITATIONAL_PULL_STRETCH, stretch);
+}
+
+
+//////////////////////// MUTATE DATA ////////////////////////////
+
+export function clearBeats(cycle) {
+  cycle.beats = [];
+  cycle.cachedBeats = [];
+}
+
+/**
+ * Update the number of beats in the cycle, but perserve any removed 
+ * beats as cached beats that we can add back later.
+ * 
+ * It's important to remember here that the beatCount param does not
+ * map directly to a zero-indexed array. It's off by one, like the
+ * length of an array.
+ * 
+ * @param {Cycle} cycle
+ * @param {integer} beatCount 
+ * @return {boolean} Whether the beats were updated.
+ */
+export function updateBeatCount(cycle, beatCount) {
+  if (!(beatCount >= MIN_BEATS && beatCount <= MAX_BEATS)) { // invalid input
+    return false;
+  }
+
+  const beatCountDiff = beatCount - cycle.beats.length;
+  if (beatCountDiff === 0) {
+    // no op
+    return false;
+  }
+
+  if (beatCountDiff < 0) {
+    // too many beats, so cache the ones we don't need so we can get them back later
+    const idx = cycle.beats.length - (beatCountDiff * -1);
+    const removedBeats = cycle.beats.splice(idx);
+    cycle.cachedBeats = removedBeats.concat(cycle.cachedBeats);
+
+  } else {
+    // not enough beats, so add all the cached ones we can, and then add more if we need them
+    if (cycle.cachedBeats.length === 0) {
+      addBeats(cycle, beatCountDiff);
+    } else {
+      const newBeatsToAdd = beatCountDiff - cycle.cachedBeats.length;
+      const removedCachedBeats = cycle.cachedBeats.splice(0, Math.max(beatCountDiff, 0));
+      cycle.beats = cycle.beats.concat(removedCachedBeats);
+      if (newBeatsToAdd > 0) {
+        addBeats(cycle, newBeatsToAdd);
+      }
+    }
+  }
+
+  return true;
+}
+
+export function activateBeat(cycle, idx) {
+  if (cycle.beats[idx]) {
+    cycle.beats[idx].active = true;
+  }
+}
+
+export function deactivateBeat(cycle, idx) {
+  if (cycle.beats[idx]) {
+    cycle.beats[idx].active = false;
+  }
+}
+
+/**
+ * Update the note parameters of a single beat.
+ * @param {Cycle} cycle
+ * @param {integer} idx
+ * @param {Object} parameters Any of velocity, noteNumber, gate, probability and condition.
+ */
+export function updateBeatParameters(cycle, idx, parameters) {
+  if (cycle.beats[idx]) {
+    Object.assign(cycle.beats[idx], parameters);
+  }
+}
+
+/**
+ * Activate a beat with the pitch and velocity of a note played on the MIDI input.
+ * @param {Cycle} cycle
+ * @param {integer} idx
+ * @param {integer} noteNumber
+ * @param {integer} velocity
+ */
+export function recordBeat(cycle, idx, noteNumber, velocity) {
+  activateBeat(cycle, idx);
+  updateBeatParameters(cycle, idx, { noteNumber, velocity });
+}
+
+export function resetBeatParameters(cycle, idx) {
+  if (cycle.beats[idx]) {
+    cycle.beats[idx] = createBeat(cycle.beats[idx].active);
+  }
+}
+
+/**
+ * Replace the cycles and playback settings with the ones saved in a pattern. The generator
+ * settings are left for the UI, since they live in the configuration form.
+ * @param {Sequencer} sequencer
+ * @param {Pattern} pattern See readPattern().
+ */
+export function applyPattern(sequencer, pattern) {
+  sequencer.bpm = pattern.bpm;
+  sequencer.swing = pattern.swing;
+  sequencer.grooveTemplate = pattern.grooveTemplate;
+  sequencer.gravitationalPull = pattern.gravitationalPull;
+  sequencer.polyMode = pattern.polyMode;
+  sequencer.meter = pattern.meter && { ...pattern.meter };
+  sequencer.beatDurationPercentage = pattern.beatDurationPercentage;
+  sequencer.cycles = pattern.cycles.map((savedCycle) => {
+    const cycle = createCycle(0, savedCycle.noteNumber, savedCycle.midiChannel);
+    cycle.beats = savedCycle.beats.map(beat => ({ ...beat }));
+    cycle.stepResolution = savedCycle.stepResolution;
+    cycle.isLineOfSymmetryBetweenBeats = savedCycle.isLineOfSymmetryBetweenBeats;
+    cycle.childCycleIndex = savedCycle.childCycleIndex;
+    updateCycleFirstBeatIndex(cycle, savedCycle.firstBeatIndex);
+    return cycle;
+  });
+}
+
+/**
+ * Put the cycles back as they were in a snapshot. The cycles that are still there keep
+ * playing from the same number of beats after their first beat, so that undoing an edit
+ * while playing does not interrupt them.
+ * @param {Sequencer} sequencer
+ * @param {Array<Object>} snapshot See createCyclesSnapshot().
+ * @return {Array<Cycle>} The cycles added back, which have yet to be started.
+ */
+export function restoreCyclesSnapshot(sequencer, snapshot) {
+  const addedCycles = [];
+  sequencer.cycles = snapshot.map((savedCycle, cycleIdx) => {
+    var cycle = sequencer.cycles[cycleIdx];
+    var stepsFromFirstBeat = 0;
+    if (cycle) {
+      stepsFromFirstBeat = getStepsFromFirstBeat(cycle, cycle.currentBeatIndex);
+    } else {
+      cycle = createCycle(0, savedCycle.noteNumber, savedCycle.midiChannel);
+      addedCycles.push(cycle);
+    }
+    cycle.beats = savedCycle.beats.map(beat => ({ ...beat }));
+    cycle.cachedBeats = savedCycle.cachedBeats.map(beat => ({ ...beat }));
+    cycle.noteNumber = savedCycle.noteNumber;
+    cycle.midiChannel = savedCycle.midiChannel;
+    cycle.stepResolution = savedCycle.stepResolution;
+    cycle.firstBeatIndex = savedCycle.firstBeatIndex;
+    cycle.currentBeatIndex = (savedCycle.firstBeatIndex + stepsFromFirstBeat) %
+      savedCycle.beats.length;
+    cycle.rotationDegrees = savedCycle.rotationDegrees;
+    cycle.snapDegrees = savedCycle.snapDegrees;
+    cycle.isLineOfSymmetryBetweenBeats = savedCycle.isLineOfSymmetryBetweenBeats;
+    cycle.childCycleIndex = savedCycle.childCycleIndex;
+    return cycle;
+  });
+  return addedCycles;
+}
+
+/**
+ * Rotate the cycle so that the given beat is the first beat, as if the user had rotated it
+ * counter-clockwise from the start.
+ * @param {Cycle} cycle
+ * @param {integer} firstBeatIndex
+ */
+export function updateCycleFirstBeatIndex(cycle, firstBeatIndex) {
+  cycle.firstBeatIndex = firstBeatIndex;
+  cycle.currentBeatIndex = firstBeatIndex;
+  cycle.rotationDegrees = -firstBeatIndex * (360 / cycle.beats.length);
+  cycle.snapDegrees = cycle.rotationDegrees;
+}
+
+/**
+ * Replace the beats of the cycle with a rhythm from the chosen generator. The same settings
+ * and seed always give the same rhythm.
+ * @param {Cycle} cycle
+ * @param {Object} generator See getGeneratorSettings().
+ */
+export function updateBeats(cycle, generator) {
+  const random = createRandomNumberGenerator(generator.seed);
+  switch (generator.algorithm) {
+    case EUCLIDEAN_GENERATOR:
+      cycle.isLineOfSymmetryBetweenBeats = false;
+      cycle.beats = generateEuclideanRhythm(
+        generator.pulses,
+        generator.rotation,
+        cycle.beats.length,
+      );
+      break;
+    case MAXIMALLY_EVEN_GENERATOR:
+      cycle.isLineOfSymmetryBetweenBeats = false;
+      cycle.beats = generateMaximallyEvenRhythm(
+        generator.pulses,
+        generator.offset,
+        cycle.beats.length,
+      );
+      break;
+    default: {
+      // Whether the line of symmetry is on the first beat or between the last beat and the
+      // first. Each is picked in proportion to the number of rhythms it allows, so that every
+      // rhythm has the same chance.
+      const beatCount = cycle.beats.length;
+      const isLineOfSymmetryBetweenBeats = chooseWeightedIndex(random, [
+        countSymmetricalRhythms(generator.maxRests, generator.maxRepeats, beatCount, false),
+        generator.allowOffbeatSymmetry
+          ? countSymmetricalRhythms(generator.maxRests, generator.maxRepeats, beatCount, true)
+          : 0n,
+      ]) === 1;
+      const rhythm = generateSymmetricalRhythm(
+        generator.maxRests,
+        generator.maxRepeats,
+        beatCount,
+        isLineOfSymmetryBetweenBeats,
+        random,
+      );
+      if (rhythm.beats) {
+        cycle.isLineOfSymmetryBetweenBeats = isLineOfSymmetryBetweenBeats;
+        cycle.beats = rhythm.beats;
+      }
+    }
+  }
+}
+
+/**
+ * Add a cycle based on another cycle, so that it starts out with the same length, note and
+ * channel.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} templateCycle
+ * @return {Cycle|null} The new cycle, or null if there are already too many cycles.
+ */
+export function addCycle(sequencer, templateCycle) {
+  if (sequencer.cycles.length >= MAX_CYCLES) {
+    return null;
+  }
+  const cycle = createCycle(
+    templateCycle.beats.length,
+    templateCycle.noteNumber,
+    templateCycle.midiChannel,
+  );
+  cycle.stepResolution = templateCycle.stepResolution;
+  sequencer.cycles.push(cycle);
+  return cycle;
+}
+
+/**
+ * Remove the cycle at the given index, as long as it is not the only cycle.
+ * @param {Sequencer} sequencer
+ * @param {integer} cycleIdx
+ * @return {boolean} Whether the cycle was removed.
+ */
+export function removeCycle(sequencer, cycleIdx) {
+  if (sequencer.cycles.length <= 1) {
+    return false;
+  }
+  sequencer.cycles.splice(cycleIdx, 1);
+  for (const cycle of sequencer.cycles) {
+    if (cycle.childCycleIndex === cycleIdx) {
+      cycle.childCycleIndex = null;
+    } else if (cycle.childCycleIndex > cycleIdx) {
+      cycle.childCycleIndex--;
+    }
+  }
+  return true;
+}
+
+/**
+ * Have the active beats of the cycle trigger another cycle, or play notes again.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {integer|null} childCycleIndex
+ * @return {boolean} Whether the change was made. See canSequenceCycle().
+ */
+export function updateCycleChild(sequencer, cycle, childCycleIndex) {
+  if (!canSequenceCycle(sequencer.cycles, sequencer.cycles.indexOf(cycle), childCycleIndex)) {
+    return false;
+  }
+  cycle.childCycleIndex = childCycleIndex;
+  return true;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @param {Pattern} pattern
+ * @param {integer} repeats
+ */
+export function addSongEntry(sequencer, pattern, repeats) {
+  sequencer.song.entries.push(createSongEntry(pattern, repeats));
+}
+
+/**
+ * Remove an entry from the song. An entry that is playing carries on until its end, and the
+ * song then carries on from the entry that took its place.
+ * @param {Sequencer} sequencer
+ * @param {integer} entryIdx
+ */
+export function removeSongEntry(sequencer, entryIdx) {
+  const song = sequencer.song;
+  song.entries.splice(entryIdx, 1);
+  if (entryIdx <= song.entryIndex) {
+    song.entryIndex--;
+  }
+}
+
+/**
+ * Change the tempo, unless the BPM is out of range, as it can be while it is being typed.
+ * The scheduler picks up the new tempo from the next step.
+ * @param {Sequencer} sequencer
+ * @param {number} bpm
+ * @return {boolean} Whether the tempo was updated.
+ */
+export function updateBPM(sequencer, bpm) {
+  if (!(bpm >= MIN_BPM && bpm <= MAX_BPM)) {
+    return false;
+  }
+  sequencer.bpm = bpm;
+  return true;
+}
+
+/**
+ * Keep the timestamps of the last quarter note of external clock ticks, and derive the BPM
+ * from them.
+ * @param {Sequencer} sequencer
+ * @param {number} tickTime
+ */
+export function updateExternalClockTempo(sequencer, tickTime) {
+  const tickTimes = sequencer.externalClockTickTimes;
+  tickTimes.push(tickTime);
+  if (tickTimes.length > MIDI_CLOCKS_PER_QUARTER_NOTE + 1) {
+    tickTimes.shift();
+  }
+  if (tickTimes.length > 1) {
+    const minute = 60 * 1000;
+    const beatUnit = sequencer.meter?.beatUnit ?? 4;
+    const quarterNoteLength = getExternalClockTickLength(sequencer) * MIDI_CLOCKS_PER_QUARTER_NOTE;
+    sequencer.bpm = (minute / quarterNoteLength) * (beatUnit / 4);
+  }
+}
+
+export function updateCycleRotationStateWithStepDegreeDelta(cycle, stepDegreeDelta) {
+  if (stepDegreeDelta > 0) {
+    cycle.currentBeatIndex = cycle.currentBeatIndex === 0
+      ? cycle.beats.length - 1
+      : cycle.currentBeatIndex - 1;
+    cycle.firstBeatIndex = cycle.firstBeatIndex === 0
+      ? cycle.beats.length - 1
+      : cycle.firstBeatIndex - 1;
+  } else if (stepDegreeDelta < 0) {
+    cycle.currentBeatIndex = cycle.currentBeatIndex === cycle.beats.length - 1
+      ? 0
+      : cycle.currentBeatIndex + 1;
+    cycle.firstBeatIndex = cycle.firstBeatIndex === cycle.beats.length - 1
+      ? 0
+      : cycle.firstBeatIndex + 1;
+  }
+  cycle.rotationDegrees += stepDegreeDelta;
+  cycle.snapDegrees += stepDegreeDelta;
+}
+
+export function updateCycleRotationStateForFlippedCycle(cycle) {
+  cycle.currentBeatIndex += cycle.beats.length / 2;
+  if (cycle.currentBeatIndex > cycle.beats.length - 1) {
+    cycle.currentBeatIndex -= cycle.beats.length;
+  }
+
+  cycle.firstBeatIndex += cycle.beats.length / 2;
+  if (cycle.firstBeatIndex > cycle.beats.length - 1) {
+    cycle.firstBeatIndex -= cycle.beats.length;
+  }
+
+  cycle.rotationDegrees += 180;
+  if (cycle.rotationDegrees > 360) {
+    cycle.rotationDegrees -= 360;
+  }
+  cycle.snapDegrees += 180;
+  if (cycle.snapDegrees > 360) {
+    cycle.snapDegrees -= 360;
+  }
+}
+
+/**
+ * Rotate the cycle a beat at a time, the shorter way around, until the given beat is the
+ * first beat. As with any other rotation, the beat that plays next moves along with it.
+ * @param {Cycle} cycle
+ * @param {integer} firstBeatIndex
+ */
+export function rotateCycleToFirstBeatIndex(cycle, firstBeatIndex) {
+  const beatCount = cycle.beats.length;
+  const stepCount = (firstBeatIndex - cycle.firstBeatIndex + beatCount) % beatCount;
+  // rotating clockwise moves the first beat back
+  const stepDegreeDelta = stepCount > beatCount / 2
+    ? 360 / beatCount
+    : -360 / beatCount;
+  for (var i = 0; i < Math.min(stepCount, beatCount - stepCount); i++) {
+    updateCycleRotationStateWithStepDegreeDelta(cycle, stepDegreeDelta);
+  }
+}
+
+
+/////////////////////// DATA HELPERS /////////////////////////////
+
+/**
+ * A symmetrical rhythm mirrors itself across its axis of symmetry, so all of its beats follow
+ * from the beats on one side of the axis, from one end of the axis to the other. We call
+ * these beats the half. The beat at each end of the half is either on the axis, so it
+ * appears once in the cycle, or beside an axis that falls between beats, so it appears twice
+ * in a row along with its mirror.
+ *
+ * The axis always runs through the first beat, or between the last beat and the first, so
+ * beat i mirrors beat (axis - i) around the cycle, where the axis is 0 or the last index.
+ * @param {integer} beatCount
+ * @param {boolean} isLineOfSymmetryBetweenBeats
+ * @return {Object}
+ */
+function getSymmetryHalf(beatCount, isLineOfSymmetryBetweenBeats) {
+  return {
+    length: isLineOfSymmetryBetweenBeats
+      ? Math.ceil(beatCount / 2)
+      : Math.floor(beatCount / 2) + 1,
+    axis: isLineOfSymmetryBetweenBeats ? beatCount - 1 : 0,
+    isStartDoubled: isLineOfSymmetryBetweenBeats,
+    isEndDoubled: Boolean(beatCount % 2) !== isLineOfSymmetryBetweenBeats,
+  };
+}
+
+/**
+ * Count every cyclic, symmetrical rhythm that keeps to the max rests and max repeats,
+ * including across the end of the cycle, so that one can be picked with equal chance.
+ *
+ * A run of beats in the middle of the half appears twice in the cycle at the same length.
+ * A run at an end of the half joins its own mirror, so it is nearly twice as long in the
+ * cycle, and a half that is all one run is the whole cycle. Counting the ways to finish the
+ * half from each beat, run length and value means each choice can be checked before it is
+ * made, so the solver never needs to backtrack out of a dead end.
+ * @param {integer} maxRests Max rests that may appear in a row
+ * @param {integer} maxRepeats Max repeated beats that may appear after the first beat in a series
+ * @param {integer} beatCount Total beats to be generated
+ * @param {boolean} isLineOfSymmetryBetweenBeats
+ * @return {Object} The half, the total number of rhythms, and a count() of the ways to
+ * finish the half, see countRhythmCompletions().
+ */
+export function createSymmetricalRhythmSolver(
+  maxRests,
+  maxRepeats,
+  beatCount,
+  isLineOfSymmetryBetweenBeats,
+) {
+  const half = getSymmetryHalf(beatCount, isLineOfSymmetryBetweenBeats);
+  const getRunLimit = active => active ? maxRepeats + 1 : maxRests;
+  const getStartRunLength = runLength => (runLength * 2) - (half.isStartDoubled ? 0 : 1);
+  const getEndRunLength = runLength => (runLength * 2) - (half.isEndDoubled ? 0 : 1);
+  const counts = new Map();
+
+  /**
+   * @param {integer} idx Index in the half of the last chosen beat.
+   * @param {boolean} active Whether the last chosen beat is active.
+   * @param {integer} runLength Beats in the run that ends with the last chosen beat.
+   * @param {boolean} isFirstRun Whether that run started at the start of the half.
+   * @return {BigInt} Number of ways to choose the rest of the half.
+   */
+  function countRhythmCompletions(idx, active, runLength, isFirstRun) {
+    const limit = getRunLimit(active);
+    // a first run that reaches the end of the half is the whole cycle, not twice its length
+    const fitsSoFar = isFirstRun
+      ? Math.min(getStartRunLength(runLength), beatCount) <= limit
+      : runLength <= limit;
+    if (!fitsSoFar) {
+      return 0n;
+    }
+    if (idx === half.length - 1) {
+      const fitsAtEnd = isFirstRun
+        ? beatCount <= limit
+        : getEndRunLength(runLength) <= limit;
+      return fitsAtEnd ? 1n : 0n;
+    }
+    const key = `${idx} ${active} ${runLength} ${isFirstRun}`;
+    if (!counts.has(key)) {
+      counts.set(
+        key,
+        countRhythmCompletions(idx + 1, active, runLength + 1, isFirstRun)
+          + countRhythmCompletions(idx + 1, !active, 1, false),
+      );
+    }
+    return counts.get(key);
+  }
+
+  return {
+    half,
+    total: countRhythmCompletions(0, true, 1, true) + countRhythmCompletions(0, false, 1, true),
+    count: countRhythmCompletions,
+  };
+}
+
+/**
+ * Pick one of the rhythms counted by the solver, each with equal chance.
+ * @param {Object} solver See createSymmetricalRhythmSolver().
+ * @param {integer} beatCount
+ * @param {Function} random See createRandomNumberGenerator().
+ * @return {Array<Beat>}
+ */
+function sampleSymmetricalRhythm(solver, beatCount, random) {
+  const half = solver.half;
+  const steps = [];
+  var runLength = 0;
+  var isFirstRun = true;
+  for (var idx = 0; idx < half.length; idx++) {
+    const options = idx === 0
+      ? [[true, 1, true], [false, 1, true]]
+      : [
+          [steps[idx - 1], runLength + 1, isFirstRun],
+          [!steps[idx - 1], 1, false],
+        ];
+    const option = options[chooseWeightedIndex(
+      random,
+      options.map(([active, length, first]) => solver.count(idx, active, length, first)),
+    )];
+    steps.push(option[0]);
+    runLength = option[1];
+    isFirstRun = option[2];
+  }
+  return Array.from({ length: beatCount }, (_beat, idx) => createBeat(
+    idx < half.length
+      ? steps[idx]
+      : steps[(half.axis - idx + beatCount) % beatCount],
+  ));
+}
+
+/**
+ * Generate a rhythm with bilateral symmetry, picked with equal chance from all of the rhythms
+ * that keep to the max rests and max repeats, including across the end of the cycle.
+ * @param {integer} maxRests Max rests that may appear in a row
+ * @param {integer} maxRepeats Max repeated beats that may appear after the first beat in a series
+ * @param {integer} beatCount Total beats to be generated
+ * @param {boolean} isLineOfSymmetryBetweenBeats
+ * @param {Function} random See createRandomNumberGenerator().
+ * @return {Object} Either the beats, or null beats and an explanation of why there are none.
+ * See explainImpossibleRhythm().
+ */
+export function generateSymmetricalRhythm(
+  maxRests,
+  maxRepeats,
+  beatCount,
+  isLineOfSymmetryBetweenBeats,
+  random = Math.random,
+) {
+  const solver = createSymmetricalRhythmSolver(
+    maxRests,
+    maxRepeats,
+    beatCount,
+    isLineOfSymmetryBetweenBeats,
+  );
+  if (solver.total === 0n) {
+    return {
+      beats: null,
+      explanation: explainImpossibleRhythm(
+        maxRests,
+        maxRepeats,
+        beatCount,
+        isLineOfSymmetryBetweenBeats,
+      ),
+    };
+  }
+  const beats = sampleSymmetricalRhythm(solver, beatCount, random);
+  if (!isRhythmWithinLimits(beats, maxRests, maxRepeats)) {
+    throw new Error('Generated a rhythm that breaks its own limits.');
+  }
+  return { beats, explanation: null };
+}
+
+/**
+ * @param {integer} maxRests
+ * @param {integer} maxRepeats
+ * @param {integer} beatCount
+ * @param {boolean} isLineOfSymmetryBetweenBeats
+ * @return {BigInt} Number of symmetrical rhythms that keep to the limits.
+ */
+export function countSymmetricalRhythms(maxRests, maxRepeats, beatCount, isLineOfSymmetryBetweenBeats) {
+  return createSymmetricalRhythmSolver(
+    maxRests,
+    maxRepeats,
+    beatCount,
+    isLineOfSymmetryBetweenBeats,
+  ).total;
+}
+
+/**
+ * Describe why no symmetrical rhythm keeps to the limits, along with the smallest changes to
+ * the settings that would allow one.
+ * @param {integer} maxRests
+ * @param {integer} maxRepeats
+ * @param {integer} beatCount
+ * @param {boolean} isLineOfSymmetryBetweenBeats
+ * @return {Object} The settings, a reason, a message for the UI, and suggested settings.
+ */
+export function explainImpossibleRhythm(maxRests, maxRepeats, beatCount, isLineOfSymmetryBetweenBeats) {
+  const half = getSymmetryHalf(beatCount, isLineOfSymmetryBetweenBeats);
+  const hasDoubledBeats = half.isStartDoubled || half.isEndDoubled;
+  var reason = 'noRhythm';
+  var message = `No cycle of ${beatCount} beats keeps to these limits.`;
+  if (maxRests < 1 || maxRepeats < 0) {
+    reason = 'invalidLimits';
+    message = 'Max Rests must be at least 1 and Max Repeats at least 0.';
+  } else if (hasDoubledBeats && maxRests < 2 && maxRepeats < 1) {
+    reason = 'doubledBeatsAtAxis';
+    message = `With ${beatCount} beats the axis of symmetry falls between two beats, ` +
+      'which always match, so there must be room for two rests or two notes in a row.';
+  }
+
+  const suggestions = [];
+  for (var rests = maxRests + 1; rests <= 3; rests++) {
+    if (countSymmetricalRhythms(rests, maxRepeats, beatCount, isLineOfSymmetryBetweenBeats)) {
+      suggestions.push({ maxRests: rests });
+      break;
+    }
+  }
+  for (var repeats = maxRepeats + 1; repeats <= 3; repeats++) {
+    if (countSymmetricalRhythms(maxRests, repeats, beatCount, isLineOfSymmetryBetweenBeats)) {
+      suggestions.push({ maxRepeats: repeats });
+      break;
+    }
+  }
+  return {
+    beatCount,
+    maxRests,
+    maxRepeats,
+    isLineOfSymmetryBetweenBeats,
+    reason,
+    message,
+    suggestions,
+  };
+}
+
+/**
+ * @param {integer} beatCount
+ * @param {Object} generator See getGeneratorSettings().
+ * @return {Object|null} Why the generator cannot make a rhythm with these settings, or null
+ * if it can. See explainImpossibleRhythm().
+ */
+export function explainGeneratorSettings(beatCount, generator) {
+  if (generator.algorithm !== SYMMETRICAL_GENERATOR) {
+    return null;
+  }
+  const { maxRests, maxRepeats } = generator;
+  if (
+    countSymmetricalRhythms(maxRests, maxRepeats, beatCount, false)
+    || (generator.allowOffbeatSymmetry
+      && countSymmetricalRhythms(maxRests, maxRepeats, beatCount, true))
+  ) {
+    return null;
+  }
+  return explainImpossibleRhythm(maxRests, maxRepeats, beatCount, false);
+}
+
+/**
+ * Check the runs of rests and notes all the way around the cycle, including the run that
+ * crosses from the last beat back to the first.
+ * @param {Array<Beat>} beats
+ * @param {integer} maxRests
+ * @param {integer} maxRepeats
+ * @return {boolean}
+ */
+export function isRhythmWithinLimits(beats, maxRests, maxRepeats) {
+  const getRunLimit = active => active ? maxRepeats + 1 : maxRests;
+  const runStartIdx = beats.findIndex((beat, idx) =>
+    beat.active !== beats[(idx + beats.length - 1) % beats.length].active
+  );
+  if (runStartIdx === -1) {
+    // a single run around the whole cycle
+    return beats.length <= getRunLimit(beats[0].active);
+  }
+  var runLength = 0;
+  for (var i = 0; i < beats.length; i++) {
+    const beat = beats[(runStartIdx + i) % beats.length];
+    const nextBeat = beats[(runStartIdx + i + 1) % beats.length];
+    runLength++;
+    if (beat.active !== nextBeat.active) {
+      if (runLength > getRunLimit(beat.active)) {
+        return false;
+      }
+      runLength = 0;
+    }
+  }
+  return true;
+}
+
+/**
+ * An odd meter rhythm keeps its axis on the first beat. Otherwise, the axis may fall between
+ * beats whenever some rhythm can keep to the limits that way.
+ */
+export function shouldAllowOffbeatSymmetry(beatCount, maxRests, maxRepeats) {
+  if (beatCount % 2) {
+    return false;
+  }
+  return countSymmetricalRhythms(maxRests, maxRepeats, beatCount, true) > 0n;
+}
+
+/**
+ * Flip some of the beats, chosen at random, so that a rhythm can change gradually. The flipped
+ * beats keep their note parameters. The beats are flipped one at a time, each chosen from the
+ * flips that keep to the max rests and max repeats, so the search ends as soon as there are
+ * none left. Keeping an axis of symmetry, a beat is flipped together with its mirror image,
+ * and both count towards the flip count, which may then be passed by one.
+ * @param {Array<Beat>} beats
+ * @param {integer} flipCount Number of beats to flip.
+ * @param {integer} maxRests
+ * @param {integer} maxRepeats
+ * @param {integer|null} mirrorIndex The axis of symmetry to keep, or null to ignore symmetry.
+ * See findAxesOfSymmetry() in the analysis.
+ * @param {Function} random See createRandomNumberGenerator().
+ * @return {Array<Beat>|null} The new beats, or null when the flips that keep to the limits
+ * ran out first.
+ */
+export function mutateRhythm(
+  beats,
+  flipCount,
+  maxRests,
+  maxRepeats,
+  mirrorIndex,
+  random = Math.random,
+) {
+  const beatCount = beats.length;
+  var flips = [];
+  beats.forEach((_beat, idx) => {
+    const mirrorIdx = mirrorIndex === null ? idx : (mirrorIndex - idx + beatCount) % beatCount;
+    if (mirrorIdx >= idx) {
+      flips.push(mirrorIdx === idx ? [idx] : [idx, mirrorIdx]);
+    }
+  });
+  const flipBeats = (beatsToFlip, flip) => beatsToFlip.map((beat, idx) => flip.includes(idx)
+    ? { ...beat, active: !beat.active }
+    : beat
+  );
+  const targetCount = Math.min(Math.max(flipCount, 1), beatCount);
+  var mutatedBeats = beats.map(beat => ({ ...beat }));
+  var isWithinLimits = isRhythmWithinLimits(beats, maxRests, maxRepeats);
+  var flippedCount = 0;
+  while (flippedCount < targetCount) {
+    const allowedFlips = flips.filter(flip => isWithinLimits
+      ? isFlipWithinLimits(mutatedBeats, flip, maxRests, maxRepeats)
+      : isRhythmWithinLimits(flipBeats(mutatedBeats, flip), maxRests, maxRepeats)
+    );
+    if (allowedFlips.length === 0) {
+      return null;
+    }
+    const flip = allowedFlips[Math.floor(random() * allowedFlips.length)];
+    mutatedBeats = flipBeats(mutatedBeats, flip);
+    isWithinLimits = true;
+    flips = flips.filter(otherFlip => otherFlip !== flip);
+    flippedCount += flip.length;
+  }
+  return mutatedBeats;
+}
+
+/**
+ * When the beats already keep to the limits, flipping some of them can only break the limits
+ * in the runs that pass through the flipped beats, so only those runs are measured.
+ * @param {Array<Beat>} beats Beats that keep to the limits.
+ * @param {Array<integer>} flip Indexes of the beats to flip.
+ * @param {integer} maxRests
+ * @param {integer} maxRepeats
+ * @return {boolean} Whether the beats would still keep to the limits after the flip.
+ */
+function isFlipWithinLimits(beats, flip, maxRests, maxRepeats) {
+  const beatCount = beats.length;
+  const isActive = (idx) => {
+    const wrappedIdx = ((idx % beatCount) + beatCount) % beatCount;
+    return beats[wrappedIdx].active !== flip.includes(wrappedIdx);
+  };
+  return flip.every((idx) => {
+    const active = isActive(idx);
+    var before = 0;
+    while (before < beatCount - 1 && isActive(idx - before - 1) === active) {
+      before++;
+    }
+    var after = 0;
+    while (before + after < beatCount - 1 && isActive(idx + after + 1) === active) {
+      after++;
+    }
+    return before + after + 1 <= (active ? maxRepeats + 1 : maxRests);
+  });
+}
+
+/**
+ * @param {Function} random See createRandomNumberGenerator().
+ * @param {Array<BigInt>} weights
+ * @return {integer} Index picked with a chance in proportion to its weight. The weights are
+ * BigInts, since counts of rhythms can be huge.
+ */
+export function chooseWeightedIndex(random, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0n);
+  const getRandomBits = () => BigInt(Math.floor(random() * (2 ** 32)));
+  const target = (((getRandomBits() << 32n) | getRandomBits()) * total) >> 64n;
+  var sum = 0n;
+  for (var idx = 0; idx < weights.length; idx++) {
+    sum += weights[idx];
+    if (target < sum) {
+      return idx;
+    }
+  }
+  return weights.length - 1;
+}
+
+/**
+ * Spreads the pulses as evenly as possible with Bjorklund's algorithm, which repeatedly pairs
+ * the remaining rests with the groups of pulses, as in Euclid's algorithm for the greatest
+ * common divisor. This gives the Euclidean rhythms, so 3 pulses in 8 beats is the tresillo.
+ * See Toussaint, "The Euclidean Algorithm Generates Traditional Musical Rhythms".
+ * @param {integer} pulses Number of active beats. With no pulses, every beat is a rest.
+ * @param {integer} rotation Beats by which the rhythm is rotated to the left.
+ * @param {integer} beatCount Total beats to be generated
+ * @return {Array<Beat>}
+ */
+export function generateEuclideanRhythm(pulses, rotation, beatCount) {
+  const pulseCount = getPulseCount(pulses, beatCount);
+  if (pulseCount === 0) {
+    // there are no groups of pulses to pair the rests with
+    return Array.from({ length: beatCount }, () => createBeat(false));
+  }
+  var groups = Array.from({ length: pulseCount }, () => [true]);
+  var remainder = Array.from({ length: beatCount - pulseCount }, () => [false]);
+  while (remainder.length > 1) {
+    const pairCount = Math.min(groups.length, remainder.length);
+    const pairs = groups.slice(0, pairCount).map((group, idx) => group.concat(remainder[idx]));
+    remainder = groups.length > pairCount
+      ? groups.slice(pairCount)
+      : remainder.slice(pairCount);
+    groups = pairs;
+  }
+  const steps = groups.concat(remainder).flat();
+  return steps.map((_step, idx) => {
+    const rotatedIdx = (((idx + rotation) % beatCount) + beatCount) % beatCount;
+    return createBeat(steps[rotatedIdx]);
+  });
+}
+
+/**
+ * Places pulse i at beat floor((i * beatCount + offset) / pulses), which gives the maximally
+ * even sets of Clough and Douthett, such as the bembé bell pattern with 7 pulses in 12 beats.
+ * Each offset shifts where the longer gaps fall, so the timeline starts from a different
+ * point of the same set. The first beat stays a pulse while the offset is below the pulses.
+ * @param {integer} pulses Number of active beats.
+ * @param {integer} offset From 0 to one less than the beat count.
+ * @param {integer} beatCount Total beats to be generated
+ * @return {Array<Beat>}
+ */
+export function generateMaximallyEvenRhythm(pulses, offset, beatCount) {
+  const pulseCount = getPulseCount(pulses, beatCount);
+  const beats = Array.from({ length: beatCount }, () => createBeat(false));
+  for (var i = 0; i < pulseCount; i++) {
+    const idx = Math.floor(((i * beatCount) + offset) / pulseCount) % beatCount;
+    beats[idx].active = true;
+  }
+  return beats;
+}
+
+/**
+ * @param {number} pulses
+ * @param {integer} beatCount
+ * @return {integer} The pulses as a whole number from 0 to the beat count, or 0 if the pulses
+ * are not a number.
+ */
+function getPulseCount(pulses, beatCount) {
+  return readNumber(Math.round(pulses), 0, beatCount, 0);
+}
+
+/**
+ * Check a pattern read from storage or from a file, filling in defaults for anything that is
+ * missing, so that an old or hand-edited pattern still loads.
+ * @param {Object} data
+ * @return {Pattern|null} The pattern, or null if it cannot be played.
+ */
+export function readPattern(data) {
+  if (
+    !data
+    || typeof data.name !== 'string'
+    || !Array.isArray(data.cycles)
+    || data.cycles.length === 0
+    || data.cycles.length > MAX_CYCLES
+  ) {
+    return null;
+  }
+  const cycles = data.cycles.map(readPatternCycle);
+  if (cycles.includes(null)) {
+    return null;
+  }
+  cycles.forEach((cycle, cycleIdx) => {
+    if (!canSequenceCycle(cycles, cycleIdx, cycle.childCycleIndex)) {
+      cycle.childCycleIndex = null;
+    }
+  });
+  const generator = data.generator ?? {};
+  return {
+    name: data.name,
+    bpm: readNumber(data.bpm, 1, 999, DEFAULT_BPM),
+    swing: readNumber(data.swing, MIN_SWING, MAX_SWING, MIN_SWING),
+    grooveTemplate: Object.hasOwn(GROOVE_TEMPLATES, data.grooveTemplate)
+      ? data.grooveTemplate
+      : 'none',
+    gravitationalPull: readNumber(data.gravitationalPull, 0, 1, 0),
+    polyMode: data.polyMode === POLYRHYTHM ? POLYRHYTHM : POLYMETER,
+    meter: readMeter(data.meter),
+    beatDurationPercentage: readNumber(data.beatDurationPercentage, 0, 1, 0.5),
+    generator: {
+      algorithm: [EUCLIDEAN_GENERATOR, MAXIMALLY_EVEN_GENERATOR].includes(generator.algorithm)
+        ? generator.algorithm
+        : SYMMETRICAL_GENERATOR,
+      maxRests: readNumber(generator.maxRests, 1, 3, 2),
+      maxRepeats: readNumber(generator.maxRepeats, 0, 3, 1),
+      allowOffbeatSymmetry: generator.allowOffbeatSymmetry !== false,
+      pulses: readNumber(generator.pulses, 0, 256, DEFAULT_PULSES),
+      rotation: readNumber(generator.rotation, -256, 256, 0),
+      offset: readNumber(generator.offset, 0, 256, 0),
+      seed: readNumber(generator.seed, 0, 4294967295, null),
+    },
+    cycles,
+  };
+}
+
+function readPatternCycle(data) {
+  if (
+    !data
+    || !Array.isArray(data.beats)
+    || data.beats.length < MIN_BEATS
+    || data.beats.length > MAX_BEATS
+  ) {
+    return null;
+  }
+  return {
+    beats: data.beats.map(beat => ({
+      active: Boolean(beat?.active),
+      velocity: readNumber(beat?.velocity, 0, MIDI_MAX_VELOCITY, MIDI_MAX_VELOCITY),
+      noteNumber: beat?.noteNumber == null ? null : readNumber(beat.noteNumber, 0, 127, null),
+      gate: beat?.gate == null ? null : readNumber(beat.gate, 0, 1, null),
+      probability: readNumber(beat?.probability, 0, 1, 1),
+      condition: readTrigCondition(beat?.condition),
+    })),
+    noteNumber: readNumber(data.noteNumber, 0, 127, 60),
+    midiChannel: readNumber(data.midiChannel, 1, 16, 1),
+    stepResolution: Object.hasOwn(STEP_RESOLUTIONS, data.stepResolution)
+      ? data.stepResolution
+      : DEFAULT_STEP_RESOLUTION,
+    firstBeatIndex: readNumber(data.firstBeatIndex, 0, data.beats.length - 1, 0),
+    isLineOfSymmetryBetweenBeats: Boolean(data.isLineOfSymmetryBetweenBeats),
+    childCycleIndex: Number.isInteger(data.childCycleIndex) ? data.childCycleIndex : null,
+  };
+}
+
+/**
+ * @param {*} data
+ * @return {Object|null} The meter as { beatsPerBar, beatUnit }, or null for no meter, which
+ * is also what a meter that cannot be played is read as.
+ */
+export function readMeter(data) {
+  const beatsPerBar = data?.beatsPerBar;
+  if (
+    !Number.isInteger(beatsPerBar)
+    || beatsPerBar < 1
+    || beatsPerBar > MAX_METER_BEATS
+    || !METER_BEAT_UNITS.includes(data.beatUnit)
+  ) {
+    return null;
+  }
+  return { beatsPerBar, beatUnit: data.beatUnit };
+}
+
+/**
+ * @param {*} value
+ * @return {string|null} The trigger condition, or null if the value is not one of
+ * getTrigConditions().
+ */
+export function readTrigCondition(value) {
+  return getTrigConditions().includes(value) ? value : null;
+}
+
+/**
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @param {*} defaultValue Returned when the value is not a number.
+ * @return {number} The value limited to the range from min to max.
+ */
+export function readNumber(value, min, max, defaultValue) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    return defaultValue;
+  }
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Encode a pattern compactly enough to share as the hash of a URL. The hash is a set of URL
+ * parameters, with one c parameter per cycle, such as:
+ *
+ *   v=1&bpm=120&swing=50&groove=none&pull=0&poly=polymeter&gate=50
+ *   &gen=2.1.1.symmetrical.5.0.0.42&c=16.60.1.0.0.9249
+ *
+ * The generator settings are max rests, max repeats, offbeat symmetry, algorithm, pulses,
+ * rotation, offset and seed. See encodeCycleHash() for the cycles. When any cycle triggers
+ * another, a sub parameter lists the cycle each one triggers, such as sub=1.. for a first
+ * cycle triggering the second. In the same way, a res parameter lists the step resolution of
+ * each cycle when any is not DEFAULT_STEP_RESOLUTION, and a meter parameter such as meter=7.8
+ * holds the meter when there is one. The pattern name is left out.
+ * @param {Pattern} pattern
+ * @return {string}
+ */
+export function encodePatternHash(pattern) {
+  const generator = pattern.generator;
+  const params = new URLSearchParams();
+  params.set('v', URL_HASH_VERSION);
+  params.set('bpm', Math.round(pattern.bpm * 100) / 100);
+  params.set('swing', pattern.swing);
+  params.set('groove', pattern.grooveTemplate);
+  params.set('pull', Math.round(pattern.gravitationalPull * 100));
+  params.set('poly', pattern.polyMode);
+  params.set('gate', Math.round(pattern.beatDurationPercentage * 100));
+  params.set('gen', [
+    generator.maxRests,
+    generator.maxRepeats,
+    generator.allowOffbeatSymmetry ? 1 : 0,
+    generator.algorithm,
+    generator.pulses,
+    generator.rotation,
+    generator.offset,
+    generator.seed ?? '',
+  ].join('.'));
+  for (const cycle of pattern.cycles) {
+    params.append('c', encodeCycleHash(cycle));
+  }
+  if (pattern.cycles.some(cycle => cycle.childCycleIndex !== null)) {
+    params.set('sub', pattern.cycles.map(cycle => cycle.childCycleIndex ?? '').join('.'));
+  }
+  if (pattern.cycles.some(cycle => cycle.stepResolution !== DEFAULT_STEP_RESOLUTION)) {
+    params.set('res', pattern.cycles.map(cycle => cycle.stepResolution).join('.'));
+  }
+  if (pattern.meter) {
+    params.set('meter', `${pattern.meter.beatsPerBar}.${pattern.meter.beatUnit}`);
+  }
+  return params.toString();
+}
+
+/**
+ * Encode a cycle as its beat count, note number, MIDI channel, first beat index and whether
+ * the line of symmetry is between beats, followed by the active beats as hexadecimal digits,
+ * four beats to a digit with the first beat in the highest bit. Beats with note parameters
+ * of their own are added last, as index-velocity-note-gate-probability, separated by
+ * underscores, followed by -condition for a beat with a trigger condition. Gate and
+ * probability are percentages, and a blank note or gate follows the cycle.
+ * @param {Object} cycle A cycle of a pattern.
+ * @return {string}
+ */
+function encodeCycleHash(cycle) {
+  var activeDigits = '';
+  for (var idx = 0; idx < cycle.beats.length; idx += 4) {
+    const digit = cycle.beats
+      .slice(idx, idx + 4)
+      .reduce((bits, beat, bitIdx) => beat.active ? bits | (8 >> bitIdx) : bits, 0);
+    activeDigits += digit.toString(16);
+  }
+  const steps = [];
+  cycle.beats.forEach((beat, idx) => {
+    if (
+      beat.velocity === MIDI_MAX_VELOCITY
+      && beat.noteNumber === null
+      && beat.gate === null
+      && beat.probability === 1
+      && beat.condition === null
+    ) {
+      return;
+    }
+    const stepFields = [
+      idx,
+      beat.velocity,
+      beat.noteNumber ?? '',
+      beat.gate === null ? '' : Math.round(beat.gate * 100),
+      Math.round(beat.probability * 100),
+    ];
+    if (beat.condition !== null) {
+      stepFields.push(beat.condition);
+    }
+    steps.push(stepFields.join('-'));
+  });
+  const fields = [
+    cycle.beats.length,
+    cycle.noteNumber,
+    cycle.midiChannel,
+    cycle.firstBeatIndex,
+    cycle.isLineOfSymmetryBetweenBeats ? 1 : 0,
+    activeDigits,
+  ];
+  if (steps.length) {
+    fields.push(steps.join('_'));
+  }
+  return fields.join('.');
+}
+
+/**
+ * @param {string} hash See encodePatternHash().
+ * @return {Pattern|null} The pattern, or null if the hash does not hold one.
+ */
+export function decodePatternHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (params.get('v') !== URL_HASH_VERSION) {
+    return null;
+  }
+  const [
+    maxRests,
+    maxRepeats,
+    allowOffbeatSymmetry,
+    algorithm,
+    pulses,
+    rotation,
+    offset,
+    seed,
+  ] = (params.get('gen') ?? '').split('.');
+  return readPattern({
+    name: '',
+    bpm: parseFloat(params.get('bpm')),
+    swing: parseFloat(params.get('swing')),
+    grooveTemplate: params.get('groove'),
+    gravitationalPull: parseFloat(params.get('pull')) / 100,
+    polyMode: params.get('poly'),
+    beatDurationPercentage: parseFloat(params.get('gate')) / 100,
+    meter: params.has('meter')
+      ? {
+        beatsPerBar: parseFloat(params.get('meter').split('.')[0]),
+        beatUnit: parseFloat(params.get('meter').split('.')[1]),
+      }
+      : null,
+    generator: {
+      algorithm,
+      maxRests: parseFloat(maxRests),
+      maxRepeats: parseFloat(maxRepeats),
+      allowOffbeatSymmetry: allowOffbeatSymmetry !== '0',
+      pulses: parseFloat(pulses),
+      rotation: parseFloat(rotation),
+      offset: parseFloat(offset),
+      seed: parseFloat(seed),
+    },
+    cycles: params.getAll('c').map((text, cycleIdx) => {
+      const cycle = decodeCycleHash(text);
+      const childCycleIndex = (params.get('sub') ?? '').split('.')[cycleIdx];
+      return cycle && {
+        ...cycle,
+        childCycleIndex: childCycleIndex ? parseInt(childCycleIndex) : null,
+        stepResolution: (params.get('res') ?? '').split('.')[cycleIdx],
+      };
+    }),
+  });
+}
+
+/**
+ * @param {string} text See encodeCycleHash().
+ * @return {Object|null} A cycle of a pattern, to be checked by readPatternCycle().
+ */
+function decodeCycleHash(text) {
+  const [
+    beatCount,
+    noteNumber,
+    midiChannel,
+    firstBeatIndex,
+    isLineOfSymmetryBetweenBeats,
+    activeDigits = '',
+    steps = '',
+  ] = text.split('.');
+  const count = parseInt(beatCount);
+  if (!(count <= MAX_BEATS)) {
+    return null;
+  }
+  const beats = [];
+  for (var idx = 0; idx < count; idx++) {
+    const digit = parseInt(activeDigits[Math.floor(idx / 4)], 16);
+    beats.push(createBeat(Boolean(digit & (8 >> (idx % 4)))));
+  }
+  for (const step of steps.split('_').filter(step => step)) {
+    const [stepIdx, velocity, stepNoteNumber, gate, probability, condition] = step.split('-');
+    const beat = beats[parseInt(stepIdx)];
+    if (beat) {
+      beat.velocity = parseFloat(velocity);
+      beat.noteNumber = stepNoteNumber ? parseFloat(stepNoteNumber) : null;
+      beat.gate = gate ? parseFloat(gate) / 100 : null;
+      beat.probability = parseFloat(probability) / 100;
+      beat.condition = condition ?? null;
+    }
+  }
+  return {
+    beats,
+    noteNumber: parseFloat(noteNumber),
+    midiChannel: parseFloat(midiChannel),
+    firstBeatIndex: parseFloat(firstBeatIndex),
+    isLineOfSymmetryBetweenBeats: isLineOfSymmetryBetweenBeats === '1',
+  };
+}
+
+
+/////////////////////////// PLAYBACK ////////////////////////////
+
+/**
+ * Send a note-on message followed by a note-off message.
+ * @param {Sequencer} sequencer
+ * @param {number} time Timestamp of the note-on message.
+ * @param {number} noteDuration Length of time between note-on and note-off messages.
+ * @param {integer} midiChannel
+ * @param {integer} noteNumber
+ * @param {integer} velocity
+ */
+export function sendNote(sequencer, time, noteDuration, midiChannel, noteNumber, velocity) {
+  const noteOnMessage = [
+    MIDI_NOTE_ON + midiChannel - 1,
+    noteNumber,
+    velocity,
+  ];
+  const noteOffMessage = [
+    MIDI_NOTE_OFF + midiChannel - 1,
+    noteNumber,
+    0x00,
+  ];
+  sequencer.midiOutput?.send(noteOnMessage, time);
+  sequencer.midiOutput?.send(noteOffMessage, time + noteDuration);
+  const now = sequencer.clock.now();
+  sequencer.queuedNoteOffs = sequencer.queuedNoteOffs.filter(noteOff => noteOff.time > now);
+  sequencer.queuedNoteOffs.push({ data: noteOffMessage, time: time + noteDuration });
+}
+
+/**
+ * Clear the messages queued ahead of time, where the MIDI output supports it, and end every
+ * note whose note-off has not been sent yet, so that nothing queued keeps playing or is left
+ * hanging. An output that cannot clear its queue still plays the notes queued, and ends them
+ * with their own note-offs.
+ * @param {Sequencer} sequencer
+ */
+function silenceQueuedNotes(sequencer) {
+  const now = sequencer.clock.now();
+  sequencer.midiOutput?.clear?.();
+  for (const noteOff of sequencer.queuedNoteOffs) {
+    if (noteOff.time > now) {
+      sequencer.midiOutput?.send(noteOff.data);
+    }
+  }
+  sequencer.queuedNoteOffs = [];
+}
+
+/**
+ * @param {Array<integer>} data A MIDI message.
+ * @param {integer|null} channel From 1 to 16, or null to leave the message as it is.
+ * @return {Array<integer>} The message on the channel, if it is a channel message.
+ */
+export function getRoutedMidiMessage(data, channel) {
+  if (channel === null || data[0] >= MIDI_SYSTEM_MESSAGE) {
+    return data;
+  }
+  return [(data[0] & 0xF0) + channel - 1, ...Array.from(data).slice(1)];
+}
+
+/**
+ * Send a start, stop, continue or song position message, unless they are turned off.
+ * @param {Sequencer} sequencer
+ * @param {Array<integer>} data
+ * @param {number} [time] Sent straight away when there is no time.
+ */
+export function sendTransport(sequencer, data, time) {
+  if (sequencer.isSendingTransport) {
+    sequencer.midiOutput?.send(data, time);
+  }
+}
+
+/**
+ * Note that the duration here is is the full length of the beat. Swing and groove move the
+ * start and end of the beat, so the clock messages are spread across what remains of it.
+ * @param {Sequencer} sequencer
+ * @param {number} time Timestamp of the beat on the timeline.
+ * @param {number} beatLength Full length of the beat in milliseconds.
+ * @param {integer} stepNumber Steps since playback started.
+ */
+export function sendClock(sequencer, time, beatLength, stepNumber) {
+  if (!sequencer.isSendingClock) {
+    return;
+  }
+  const startTime = time + getStepTimingOffset(sequencer, stepNumber, beatLength);
+  const endTime = time + beatLength + getStepTimingOffset(sequencer, stepNumber + 1, beatLength);
+  const clockTime = (endTime - startTime) / sequencer.midiClockMessagesPerStep;
+  for (var i = 0; i < sequencer.midiClockMessagesPerStep; i++) {
+    sequencer.midiOutput?.send([MIDI_CLOCK], startTime + (clockTime * i));
+  }
+}
+
+/**
+ * Queue all note messages related to the beat at the given index, and pass the step on to
+ * onStepScheduled, so that a UI can highlight it once its time arrives. An active beat of a
+ * cycle that sequences another cycle triggers that cycle instead of playing a note.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {integer} idx Index of the beat.
+ * @param {number} timelineTime Timestamp of the beat on the timeline, before swing and groove.
+ * @param {number} beatLength Full length of the beat in milliseconds.
+ * Note that this is not the same as the note-on length.
+ * @param {integer} stepNumber Steps since playback started.
+ */
+export function scheduleBeatAtIndex(sequencer, cycle, idx, timelineTime, beatLength, stepNumber) {
+  const time = timelineTime + getStepTimingOffset(sequencer, stepNumber, beatLength);
+  const active = shouldPlayBeat(sequencer, cycle, idx);
+  const duration = beatLength * getBeatGate(sequencer, cycle, idx);
+  const childCycle = getChildCycle(sequencer, cycle);
+  if (active && childCycle) {
+    triggerCycle(sequencer, childCycle, cycle, timelineTime, stepNumber);
+  } else if (active) {
+    sendNote(
+      sequencer,
+      time,
+      duration,
+      cycle.midiChannel,
+      getBeatNoteNumber(cycle, idx),
+      getStepVelocity(sequencer, cycle, idx, stepNumber),
+    );
+  }
+  sequencer.onStepScheduled?.({
+    cycle,
+    idx,
+    time,
+    duration,
+    active,
+    phaseError: getCyclePhaseError(sequencer, cycle, idx, timelineTime),
+  });
+  cycle.scheduledBeatTimes.push({ idx, time });
+  if (cycle.scheduledBeatTimes.length > SCHEDULED_BEAT_HISTORY_LENGTH) {
+    cycle.scheduledBeatTimes.shift();
+  }
+}
+
+/**
+ * Start measuring a timeline from the given time.
+ * @param {Timeline} timeline
+ * @param {number} originTime
+ * @param {number} stepLength
+ * @param {integer} stepNumber Steps since playback started.
+ */
+export function startTimeline(timeline, originTime, stepLength, stepNumber) {
+  timeline.originTime = originTime;
+  timeline.stepCount = 0;
+  timeline.stepLength = stepLength;
+  timeline.stepNumber = stepNumber;
+}
+
+/**
+ * Call scheduleStep for every step of the timeline falling before scheduleUntil.
+ * @param {Timeline} timeline
+ * @param {number} stepLength Current step length, which may differ from the timeline's.
+ * @param {number} scheduleUntil
+ * @param {Function} scheduleStep Called with the time, length and number of each step.
+ */
+export function scheduleTimeline(timeline, stepLength, scheduleUntil, scheduleStep) {
+  if (stepLength !== timeline.stepLength) {
+    // The step length changed, so measure from the next step that has not been scheduled yet.
+    startTimeline(
+      timeline,
+      getTimelineStepTime(timeline, timeline.stepCount),
+      stepLength,
+      timeline.stepNumber,
+    );
+  }
+  var stepTime = getTimelineStepTime(timeline, timeline.stepCount);
+  while (stepTime < scheduleUntil) {
+    scheduleStep(stepTime, stepLength, timeline.stepNumber);
+    timeline.stepCount++;
+    timeline.stepNumber++;
+    stepTime = getTimelineStepTime(timeline, timeline.stepCount);
+  }
+}
+
+/**
+ * Schedule the next step of the cycle. A sequenced cycle stays silent, while its timeline
+ * carries on, until it is triggered.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {number} timelineTime
+ * @param {number} beatLength
+ * @param {integer} stepNumber
+ */
+function scheduleCycleStep(sequencer, cycle, timelineTime, beatLength, stepNumber) {
+  if (isSequencedCycle(sequencer, cycle)) {
+    if (cycle.triggeredStepsLeft === 0) {
+      return;
+    }
+    cycle.triggeredStepsLeft--;
+  }
+  scheduleBeatAtIndex(
+    sequencer,
+    cycle,
+    cycle.currentBeatIndex,
+    timelineTime,
+    beatLength,
+    stepNumber,
+  );
+  cycle.currentBeatIndex = getNextBeatIndex(cycle, cycle.currentBeatIndex);
+  if (cycle.currentBeatIndex === cycle.firstBeatIndex) {
+    cycle.passCount++;
+    sequencer.onCyclePassScheduled?.(cycle);
+  }
+}
+
+/**
+ * Play one pass through a sequenced cycle from its first beat, starting at a step of the
+ * cycle that sequences it. The pass lasts until the cycle has played each beat once, or
+ * until it is triggered again. Any steps of the cycle falling before the trigger are
+ * scheduled first, since its timeline is then measured from the trigger.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle The cycle to trigger.
+ * @param {Cycle} parentCycle The cycle whose step triggers it.
+ * @param {number} timelineTime Timestamp of the step on the timeline, before swing and groove.
+ * @param {integer} stepNumber Steps since playback started.
+ */
+export function triggerCycle(sequencer, cycle, parentCycle, timelineTime, stepNumber) {
+  if (sequencer.clockSource === EXTERNAL_CLOCK) {
+    // the parent's next tick is still the tick of the step being scheduled
+    const tick = parentCycle.timeline.nextTick;
+    const tickTimes = sequencer.externalClockTickTimes;
+    scheduleCycleTicks(sequencer, cycle, tick, tickTimes[tickTimes.length - 1]);
+    cycle.timeline.nextTick = tick;
+    cycle.timeline.stepNumber = stepNumber;
+  } else {
+    scheduleCycleTimeline(sequencer, cycle, timelineTime);
+    startTimeline(cycle.timeline, timelineTime, getCycleBeatLength(sequencer, cycle), stepNumber);
+  }
+  cycle.currentBeatIndex = cycle.firstBeatIndex;
+  cycle.triggeredStepsLeft = cycle.beats.length;
+}
+
+/**
+ * A cycle that sequences another comes before it, so that every trigger is in place before
+ * the triggered cycle is scheduled.
+ * @param {Sequencer} sequencer
+ * @return {Array<Cycle>}
+ */
+function getCyclesInSchedulingOrder(sequencer) {
+  const getDepth = (cycle) => {
+    const parentCycle = sequencer.cycles.find(otherCycle =>
+      getChildCycle(sequencer, otherCycle) === cycle
+    );
+    return parentCycle ? getDepth(parentCycle) + 1 : 0;
+  };
+  return [...sequencer.cycles].sort((a, b) => getDepth(a) - getDepth(b));
+}
+
+function scheduleCycleTimeline(sequencer, cycle, scheduleUntil) {
+  const scheduleStep = (time, beatLength, stepNumber) => {
+    scheduleCycleStep(sequencer, cycle, time, beatLength, stepNumber);
+  };
+  if (sequencer.gravitationalPull === 0) {
+    scheduleTimeline(
+      cycle.timeline,
+      getCycleBeatLength(sequencer, cycle),
+      scheduleUntil,
+      scheduleStep,
+    );
+    return;
+  }
+  // the pull sets the length of each step separately, so they are scheduled one at a time
+  const timeline = cycle.timeline;
+  var stepTime = getTimelineStepTime(timeline, timeline.stepCount);
+  while (stepTime < scheduleUntil) {
+    const stepLength = getPulledCycleBeatLength(sequencer, cycle, cycle.currentBeatIndex, stepTime);
+    scheduleTimeline(timeline, stepLength, stepTime + (stepLength / 2), scheduleStep);
+    stepTime = getTimelineStepTime(timeline, timeline.stepCount);
+  }
+}
+
+/**
+ * Queue the clock messages and steps falling before scheduleUntil.
+ * @param {Sequencer} sequencer
+ * @param {number} scheduleUntil
+ */
+function scheduleStepsUntil(sequencer, scheduleUntil) {
+  scheduleTimeline(
+    sequencer.clockTimeline,
+    getBeatLength(sequencer),
+    scheduleUntil,
+    (time, beatLength, stepNumber) => {
+      sendClock(sequencer, time, beatLength, stepNumber);
+      if (isSongPlaying(sequencer)) {
+        sequencer.onSongPositionScheduled?.({ time, ...getSongPosition(sequencer, stepNumber) });
+      }
+    },
+  );
+  for (const cycle of getCyclesInSchedulingOrder(sequencer)) {
+    scheduleCycleTimeline(sequencer, cycle, scheduleUntil);
+  }
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @return {number} Timestamp of the clock step where the song entry playing ends, or
+ * Infinity when no song is playing.
+ */
+function getSongEntryEndTime(sequencer) {
+  if (!isSongPlaying(sequencer)) {
+    return Infinity;
+  }
+  const clockTimeline = sequencer.clockTimeline;
+  const stepsLeft = sequencer.song.entryEndStep - clockTimeline.stepNumber;
+  const beatLength = getBeatLength(sequencer);
+  if (beatLength === clockTimeline.stepLength) {
+    return getTimelineStepTime(clockTimeline, clockTimeline.stepCount + stepsLeft);
+  }
+  // the tempo changed, so the timeline will be measured again from its next step
+  return getTimelineStepTime(clockTimeline, clockTimeline.stepCount) + (stepsLeft * beatLength);
+}
+
+/**
+ * Replace the cycles with the pattern of a song entry, from the given clock step. The caller
+ * starts the cycles, which differs between the internal and external clock.
+ * @param {Sequencer} sequencer
+ * @param {integer} entryIdx
+ * @param {integer} stepNumber
+ */
+function startSongEntry(sequencer, entryIdx, stepNumber) {
+  const song = sequencer.song;
+  const entry = song.entries[entryIdx];
+  song.isStarted = true;
+  song.entryIndex = entryIdx;
+  song.entry = entry;
+  song.entryStartStep = stepNumber;
+  // an entry ending between two clock steps runs on to the next one
+  song.entryEndStep = stepNumber + Math.ceil(getPatternStepCount(entry.pattern) * entry.repeats);
+  applyPattern(sequencer, entry.pattern);
+  sequencer.onSongEntryStarted?.(entryIdx);
+}
+
+function getNextSongEntryIndex(sequencer) {
+  return (sequencer.song.entryIndex + 1) % sequencer.song.entries.length;
+}
+
+/**
+ * Called every SCHEDULER_INTERVAL. Queues every clock message and step falling within the
+ * next SCHEDULE_AHEAD_TIME, so that the timing of the MIDI messages does not depend on how
+ * promptly the timers run. When following a song, an entry that ends within that time is
+ * scheduled up to its end, and the next entry takes over from there. The clock timeline
+ * carries on throughout, so clock messages are not interrupted by the change.
+ * @param {Sequencer} sequencer
+ */
+export function scheduleSteps(sequencer) {
+  const scheduleUntil = sequencer.clock.now() + SCHEDULE_AHEAD_TIME;
+  var songEntryEndTime = getSongEntryEndTime(sequencer);
+  while (songEntryEndTime < scheduleUntil) {
+    // stopping just short of the end keeps rounding from playing a step in both entries
+    scheduleStepsUntil(sequencer, songEntryEndTime - 0.001);
+    startSongEntry(sequencer, getNextSongEntryIndex(sequencer), sequencer.song.entryEndStep);
+    for (const cycle of sequencer.cycles) {
+      startCycle(sequencer, cycle);
+    }
+    songEntryEndTime = getSongEntryEndTime(sequencer);
+  }
+  scheduleStepsUntil(sequencer, scheduleUntil);
+}
+
+/**
+ * Start a cycle from its first beat, lined up with the next clock step so that it stays in
+ * time with the cycles that are already playing.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ */
+export function startCycle(sequencer, cycle) {
+  const clockTimeline = sequencer.clockTimeline;
+  cycle.currentBeatIndex = cycle.firstBeatIndex;
+  cycle.scheduledBeatTimes = [];
+  cycle.triggeredStepsLeft = 0;
+  cycle.passCount = 0;
+  cycle.isLastConditionMet = false;
+  cycle.timeline.nextTick = sequencer.externalClockTickCount;
+  startTimeline(
+    cycle.timeline,
+    getTimelineStepTime(clockTimeline, clockTimeline.stepCount),
+    getCycleBeatLength(sequencer, cycle),
+    clockTimeline.stepNumber,
+  );
+}
+
+function startScheduler(sequencer) {
+  sequencer.song.isStarted = false;
+  if (isSongEnabled(sequencer)) {
+    startSongEntry(sequencer, 0, 0);
+  }
+  startTimeline(sequencer.clockTimeline, sequencer.clock.now(), getBeatLength(sequencer), 0);
+  for (const cycle of sequencer.cycles) {
+    startCycle(sequencer, cycle);
+  }
+  runScheduler(sequencer);
+}
+
+function runScheduler(sequencer) {
+  scheduleSteps(sequencer);
+  sequencer.schedulerIntervalID = sequencer.clock.setInterval(
+    () => scheduleSteps(sequencer),
+    SCHEDULER_INTERVAL,
+  );
+}
+
+function stopScheduler(sequencer) {
+  sequencer.clock.clearInterval(sequencer.schedulerIntervalID);
+  sequencer.schedulerIntervalID = null;
+}
+
+/**
+ * Play every cycle from its first beat, or start them over if they are already playing.
+ * When the song is enabled, playback starts from its first entry.
+ * @param {Sequencer} sequencer
+ */
+export function startPlayback(sequencer) {
+  if (sequencer.clockSource === EXTERNAL_CLOCK) {
+    // transport follows the start, stop and continue messages of the MIDI input
+    return;
+  }
+  if (sequencer.isPlaying) {
+    stopScheduler(sequencer);
+  } else {
+    sequencer.isPlaying = true;
+    sendTransport(sequencer, [MIDI_START]);
+  }
+  sequencer.pause = null;
+  startScheduler(sequencer);
+}
+
+/**
+ * Stop playback, along with the notes that were queued ahead of time.
+ * @param {Sequencer} sequencer
+ */
+export function stopPlayback(sequencer) {
+  const wasPaused = isPlaybackPaused(sequencer);
+  sequencer.isPlaying = false;
+  sequencer.pause = null;
+  stopScheduler(sequencer);
+  silenceQueuedNotes(sequencer);
+  if (sequencer.clockSource === INTERNAL_CLOCK && !wasPaused) {
+    sendTransport(sequencer, [MIDI_STOP]);
+  }
+}
+
+/**
+ * Stop playback so that it can continue from the same step. Steps already queued still play,
+ * so playback pauses at the first step that has not been queued, which is where the stop
+ * message is sent. See continuePlayback().
+ * @param {Sequencer} sequencer
+ * @return {boolean} Whether playback was paused, which needs the internal clock.
+ */
+export function pausePlayback(sequencer) {
+  if (!sequencer.isPlaying || sequencer.clockSource === EXTERNAL_CLOCK) {
+    return false;
+  }
+  const clockTimeline = sequencer.clockTimeline;
+  sequencer.isPlaying = false;
+  stopScheduler(sequencer);
+  sequencer.pause = {
+    time: getTimelineStepTime(clockTimeline, clockTimeline.stepCount),
+    cycles: [...sequencer.cycles], // cycles added while paused start from their first beat
+  };
+  sendTransport(sequencer, [MIDI_STOP], sequencer.pause.time);
+  return true;
+}
+
+/**
+ * Carry on from where playback was paused, or start from the beginning if it was stopped.
+ * While playing, there is nothing to continue. Every timeline is moved later by the length of
+ * the pause, so the cycles, swing, groove and song all carry on as if there had been no
+ * pause. A song position message tells the devices following the clock where to continue
+ * from.
+ * @param {Sequencer} sequencer
+ */
+export function continuePlayback(sequencer) {
+  if (sequencer.clockSource === EXTERNAL_CLOCK) {
+    // transport follows the start, stop and continue messages of the MIDI input
+    return;
+  }
+  if (sequencer.isPlaying) {
+    return;
+  }
+  if (!isPlaybackPaused(sequencer)) {
+    startPlayback(sequencer);
+    return;
+  }
+  const pause = sequencer.pause;
+  const continueTime = Math.max(sequencer.clock.now(), pause.time);
+  const pauseLength = continueTime - pause.time;
+  sequencer.clockTimeline.originTime += pauseLength;
+  for (const cycle of sequencer.cycles) {
+    if (pause.cycles.includes(cycle)) {
+      cycle.timeline.originTime += pauseLength;
+      cycle.scheduledBeatTimes = [];
+    } else {
+      startCycle(sequencer, cycle);
+    }
+  }
+  const songPosition = getMidiSongPosition(sequencer);
+  sendTransport(
+    sequencer,
+    [MIDI_SONG_POSITION_POINTER, songPosition & 0x7F, songPosition >> 7],
+    continueTime,
+  );
+  sendTransport(sequencer, [MIDI_CONTINUE], continueTime);
+  sequencer.pause = null;
+  sequencer.isPlaying = true;
+  runScheduler(sequencer);
+}
+
+/**
+ * Following an external clock, the steps are scheduled one tick ahead. A step that falls
+ * between two ticks, as in a polyrhythm, is placed using the average length of recent ticks.
+ * @param {Sequencer} sequencer
+ * @param {number} tickTime Timestamp of the clock message.
+ */
+export function scheduleStepsForExternalClockTick(sequencer, tickTime) {
+  for (const cycle of getCyclesInSchedulingOrder(sequencer)) {
+    scheduleCycleTicks(sequencer, cycle, sequencer.externalClockTickCount + 1, tickTime);
+  }
+}
+
+/**
+ * Schedule the steps of the cycle falling before the given tick.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {number} untilTick
+ * @param {number} tickTime Timestamp of the current clock message.
+ */
+function scheduleCycleTicks(sequencer, cycle, untilTick, tickTime) {
+  const tickLength = getExternalClockTickLength(sequencer);
+  const tickCount = sequencer.externalClockTickCount;
+  const timeline = cycle.timeline;
+  const ticksPerBeat = getCycleTicksPerBeat(sequencer, cycle);
+  while (timeline.nextTick < untilTick) {
+    scheduleCycleStep(
+      sequencer,
+      cycle,
+      tickTime + ((timeline.nextTick - tickCount) * tickLength),
+      ticksPerBeat * tickLength,
+      timeline.stepNumber,
+    );
+    timeline.stepNumber++;
+    timeline.nextTick += ticksPerBeat;
+  }
+}
+
+/**
+ * When following a song, start the next entry on the clock tick where the entry playing
+ * ends, and pass each clock step on to onSongPositionScheduled.
+ * @param {Sequencer} sequencer
+ * @param {number} tickTime
+ */
+function followSongForExternalClockTick(sequencer, tickTime) {
+  const ticksPerStep = getExternalClockTicksPerStep(sequencer);
+  const tickCount = sequencer.externalClockTickCount;
+  if (!isSongPlaying(sequencer) || tickCount % ticksPerStep !== 0) {
+    return;
+  }
+  const stepNumber = tickCount / ticksPerStep;
+  if (stepNumber >= sequencer.song.entryEndStep) {
+    startSongEntry(sequencer, getNextSongEntryIndex(sequencer), stepNumber);
+    startCyclesOnExternalClock(sequencer, stepNumber);
+  }
+  sequencer.onSongPositionScheduled?.({
+    time: tickTime,
+    ...getSongPosition(sequencer, stepNumber),
+  });
+}
+
+/**
+ * Start every cycle from its first beat on the current tick of the external clock.
+ * @param {Sequencer} sequencer
+ * @param {integer} stepNumber
+ */
+function startCyclesOnExternalClock(sequencer, stepNumber) {
+  for (const cycle of sequencer.cycles) {
+    cycle.currentBeatIndex = cycle.firstBeatIndex;
+    cycle.scheduledBeatTimes = [];
+    cycle.triggeredStepsLeft = 0;
+    cycle.passCount = 0;
+    cycle.isLastConditionMet = false;
+    cycle.timeline.stepNumber = stepNumber;
+    cycle.timeline.nextTick = sequencer.externalClockTickCount;
+  }
+}
+
+/**
+ * Follow a clock message from the external clock, which sets the tempo, and plays the steps
+ * of the next tick while playing.
+ * @param {Sequencer} sequencer
+ * @param {number} tickTime Timestamp of the clock message.
+ */
+export function advanceExternalClock(sequencer, tickTime) {
+  updateExternalClockTempo(sequencer, tickTime);
+  if (sequencer.isPlaying) {
+    followSongForExternalClockTick(sequencer, tickTime);
+    scheduleStepsForExternalClockTick(sequencer, tickTime);
+    sequencer.externalClockTickCount++;
+  }
+}
+
+/**
+ * Start playback for an external start or continue message. Steps are then played as clock
+ * messages arrive, rather than by the scheduler.
+ * @param {Sequencer} sequencer
+ * @param {boolean} isContinuing Whether to resume from where playback stopped.
+ */
+export function startExternalClockPlayback(sequencer, isContinuing) {
+  if (sequencer.isPlaying) {
+    stopScheduler(sequencer);
+  }
+  if (!isContinuing) {
+    sequencer.externalClockTickCount = 0;
+    sequencer.song.isStarted = false;
+    if (isSongEnabled(sequencer)) {
+      startSongEntry(sequencer, 0, 0);
+    }
+    startCyclesOnExternalClock(sequencer, 0);
+  }
+  sequencer.isPlaying = true;
+}
+
+
+///////////////////////// MIDI FILE EXPORT /////////////////////////
+
+/**
+ * Render the cycles as a Standard MIDI File, with the notes of createNoteEvents().
+ * See https://www.midi.org/specifications/file-format-files/standard-midi-files
+ * @param {Sequencer} sequencer
+ * @param {integer} format Either MIDI_FILE_SINGLE_TRACK or MIDI_FILE_MULTIPLE_TRACKS.
+ * @param {integer} repetitions Repetitions of the loop, see getMidiFileLoopLength().
+ * @return {Uint8Array}
+ */
+export function createMidiFile(sequencer, format, repetitions) {
+  const { length: fileLength, noteEvents } = createNoteEvents(sequencer, repetitions);
+  const metaEvents = [createMidiFileTempoEvent(sequencer)];
+  if (sequencer.meter) {
+    metaEvents.push(createMidiFileTimeSignatureEvent(sequencer.meter));
+  }
+  const cycleEvents = sequencer.cycles.map(cycle => noteEvents.get(cycle));
+  const tracks = format === MIDI_FILE_SINGLE_TRACK
+    ? [[...metaEvents, ...cycleEvents.flat()]]
+    : [metaEvents, ...cycleEvents];
+  const header = [
+    ...getAsciiBytes('MThd'),
+    ...getBigEndianBytes(6, 4),
+    ...getBigEndianBytes(format, 2),
+    ...getBigEndianBytes(tracks.length, 2),
+    ...getBigEndianBytes(MIDI_FILE_TICKS_PER_QUARTER_NOTE, 2),
+  ];
+  return new Uint8Array([
+    ...header,
+    ...tracks.flatMap(events => createMidiFileTrack(events, fileLength)),
+  ]);
+}
+
+/**
+ * The notes of the cycles over the given number of repetitions of their loop, in ticks of
+ * MIDI_FILE_TICKS_PER_QUARTER_NOTE. Every cycle starts from its first beat, with the same
+ * swing, groove, gate, probability, trigger conditions and triggering of sequenced cycles as
+ * playback, with the fill playing if it is playing now. Every cycle keeps to the grid, as if
+ * there were no gravitational pull.
+ * @param {Sequencer} sequencer
+ * @param {integer} repetitions Repetitions of the loop, see getMidiFileLoopLength().
+ * @return {Object} The length in ticks, and the noteEvents of each cycle in a Map. Each event
+ * is { tick, data }, and the events of a cycle are in no particular order. See sortNoteEvents().
+ */
+export function createNoteEvents(sequencer, repetitions) {
+  const length = getMidiFileLoopLength(sequencer) * repetitions;
+  const passes = new Map();
+  const noteEvents = new Map();
+  for (const cycle of getCyclesInSchedulingOrder(sequencer)) {
+    noteEvents.set(cycle, createMidiFileNoteEvents(sequencer, cycle, length, passes));
+  }
+  return { length, noteEvents };
+}
+
+/**
+ * The cycles that are not sequenced all start together, and start together again after the
+ * least common multiple of their lengths. When that is longer than MAX_MIDI_FILE_LOOP_TICKS,
+ * the loop is the longest of the cycles instead.
+ * @param {Sequencer} sequencer
+ * @return {integer} Length of the loop in ticks of createNoteEvents().
+ */
+export function getMidiFileLoopLength(sequencer) {
+  const cycleLengths = sequencer.cycles
+    .filter(cycle => !isSequencedCycle(sequencer, cycle))
+    .map(cycle => Math.round(cycle.beats.length * getMidiFileStepTicks(sequencer, cycle)));
+  const getGreatestCommonDivisor = (a, b) => b === 0 ? a : getGreatestCommonDivisor(b, a % b);
+  var loopLength = 1;
+  for (const cycleLength of cycleLengths) {
+    loopLength *= cycleLength / getGreatestCommonDivisor(loopLength, cycleLength);
+    if (loopLength > MAX_MIDI_FILE_LOOP_TICKS) {
+      return Math.max(...cycleLengths);
+    }
+  }
+  return loopLength;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @return {number} Length of a tick of createNoteEvents() in milliseconds.
+ */
+export function getMidiFileTickLength(sequencer) {
+  return getQuarterNoteLength(sequencer) / MIDI_FILE_TICKS_PER_QUARTER_NOTE;
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @return {number} Length of each step of the cycle in ticks of createNoteEvents().
+ */
+function getMidiFileStepTicks(sequencer, cycle) {
+  return (MIDI_FILE_TICKS_PER_QUARTER_NOTE / 4)
+    * (getCycleBeatLength(sequencer, cycle) / getBeatLength(sequencer));
+}
+
+/**
+ * Put events in time order. Events on the same tick are ordered with meta events first and
+ * note-offs before note-ons, so that back-to-back notes do not cut each other off.
+ * @param {Array<Object>} events
+ * @return {Array<Object>} A sorted copy of the events.
+ */
+export function sortNoteEvents(events) {
+  const getEventOrder = event => [MIDI_META_EVENT, MIDI_NOTE_OFF, MIDI_NOTE_ON]
+    .indexOf(event.data[0] === MIDI_META_EVENT ? MIDI_META_EVENT : event.data[0] & 0xF0);
+  return [...events].sort((a, b) => a.tick - b.tick || getEventOrder(a) - getEventOrder(b));
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @return {Object} Tempo meta event in microseconds per quarter note.
+ */
+function createMidiFileTempoEvent(sequencer) {
+  // the tempo has three bytes, so very slow tempos are written as the slowest it can hold
+  const quarterNoteDuration = Math.min(
+    Math.round(getQuarterNoteLength(sequencer) * 1000),
+    MAX_MIDI_FILE_TEMPO,
+  );
+  return {
+    tick: 0,
+    data: [MIDI_META_EVENT, MIDI_META_TEMPO, 3, ...getBigEndianBytes(quarterNoteDuration, 3)],
+  };
+}
+
+/**
+ * The denominator is written as a power of two, followed by the MIDI clocks in each beat of
+ * the meter, and the thirty-second notes in a quarter note.
+ * @param {Object} meter See readMeter().
+ * @return {Object} Time signature meta event.
+ */
+function createMidiFileTimeSignatureEvent(meter) {
+  return {
+    tick: 0,
+    data: [
+      MIDI_META_EVENT,
+      MIDI_META_TIME_SIGNATURE,
+      4,
+      meter.beatsPerBar,
+      Math.log2(meter.beatUnit),
+      MIDI_CLOCKS_PER_QUARTER_NOTE * (4 / meter.beatUnit),
+      8,
+    ],
+  };
+}
+
+/**
+ * A cycle plays one pass from the start of the file, unless it is sequenced, in which case
+ * it plays the passes that the cycle sequencing it added as { tick, stepNumber, stepCount }.
+ * Each pass lasts for its step count, or until the next pass starts.
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {integer} fileLength Length of the file in ticks.
+ * @param {Map<Cycle, Array<Object>>} passes Passes of the sequenced cycles, which the cycles
+ * sequencing them must have added already. See getCyclesInSchedulingOrder().
+ * @return {Array<Object>} Note-on and note-off events with their ticks, in no particular order.
+ */
+function createMidiFileNoteEvents(sequencer, cycle, fileLength, passes) {
+  const stepLength = getMidiFileStepTicks(sequencer, cycle);
+  const childCycle = getChildCycle(sequencer, cycle);
+  if (childCycle) {
+    passes.set(childCycle, []);
+  }
+  const cyclePasses = isSequencedCycle(sequencer, cycle)
+    ? passes.get(cycle) ?? []
+    : [{ tick: 0, stepNumber: 0, stepCount: Infinity }];
+  // counted as in playback, without disturbing the count of a cycle that is playing
+  const loop = { passCount: 0, isLastConditionMet: false };
+  return cyclePasses.flatMap((pass, passIdx) => {
+    const passEnd = Math.min(cyclePasses[passIdx + 1]?.tick ?? fileLength, fileLength);
+    return createMidiFilePassEvents(sequencer, cycle, pass, passEnd, stepLength, passes, loop);
+  });
+}
+
+/**
+ * @param {Sequencer} sequencer
+ * @param {Cycle} cycle
+ * @param {Object} pass See createMidiFileNoteEvents().
+ * @param {number} passEnd Tick at which the pass, and any note still playing, is cut off by
+ * the next pass or by the end of the file.
+ * @param {number} stepLength Length of each step of the cycle in ticks.
+ * @param {Map<Cycle, Array<Object>>} passes
+ * @param {Object} loop See shouldPlayBeat().
+ * @return {Array<Object>}
+ */
+function createMidiFilePassEvents(sequencer, cycle, pass, passEnd, stepLength, passes, loop) {
+  const childCycle = getChildCycle(sequencer, cycle);
+  const events = [];
+  var idx = cycle.firstBeatIndex;
+  for (var step = 0; step < pass.stepCount && pass.tick + (step * stepLength) < passEnd; step++) {
+    const stepNumber = pass.stepNumber + step;
+    const stepTick = pass.tick + (step * stepLength);
+    const active = shouldPlayBeat(sequencer, cycle, idx, loop);
+    if (active && childCycle) {
+      passes.get(childCycle).push({
+        tick: stepTick,
+        stepNumber,
+        stepCount: childCycle.beats.length,
+      });
+    } else if (active) {
+      const time = stepTick + getStepTimingOffset(sequencer, stepNumber, stepLength);
+      const noteOnTick = Math.max(Math.round(time), 0);
+      const noteOffTick = Math.min(
+        Math.max(Math.round(time + (stepLength * getBeatGate(sequencer, cycle, idx))), noteOnTick),
+        passEnd,
+      );
+      const noteNumber = getBeatNoteNumber(cycle, idx);
+      // a note that swing or groove delays past the end of the pass is cut off before it starts
+      if (noteOnTick < passEnd) {
+        events.push({
+          tick: noteOnTick,
+          data: [
+            MIDI_NOTE_ON + cycle.midiChannel - 1,
+            noteNumber,
+            getStepVelocity(sequencer, cycle, idx, stepNumber),
+          ],
+        });
+        events.push({
+          tick: noteOffTick,
+          data: [MIDI_NOTE_OFF + cycle.midiChannel - 1, noteNumber, 0x00],
+        });
+      }
+    }
+    idx = getNextBeatIndex(cycle, idx);
+    if (idx === cycle.firstBeatIndex) {
+      loop.passCount++;
+    }
+  }
+  return events;
+}
+
+/**
+ * Write the events as a track chunk, in the order of sortNoteEvents().
+ * @param {Array<Object>} events
+ * @param {integer} fileLength Tick of the end of the track.
+ * @return {Array<integer>}
+ */
+function createMidiFileTrack(events, fileLength) {
+  const sortedEvents = sortNoteEvents(events);
+  sortedEvents.push({ tick: fileLength, data: [MIDI_META_EVENT, MIDI_META_END_OF_TRACK, 0] });
+  const trackData = [];
+  var lastTick = 0;
+  for (const event of sortedEvents) {
+    trackData.push(...getVariableLengthQuantityBytes(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  }
+  return [
+    ...getAsciiBytes('MTrk'),
+    ...getBigEndianBytes(trackData.length, 4),
+    ...trackData,
+  ];
+}
+
+/**
+ * Delta times in a MIDI file use seven bits per byte, with the highest bit set on every
+ * byte but the last.
+ * @param {integer} value
+ * @return {Array<integer>}
+ */
+function getVariableLengthQuantityBytes(value) {
+  const bytes = [value & 0x7F];
+  value >>= 7;
+  while (value > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+    value >>= 7;
+  }
+  return bytes;
+}
+
+function getBigEndianBytes(value, byteCount) {
+  const bytes = [];
+  for (var i = byteCount - 1; i >= 0; i--) {
+    bytes.push((value >> (i * 8)) & 0xFF);
+  }
+  return bytes;
+}
+
+function getAsciiBytes(text) {
+  return Array.from(text, character => character.charCodeAt(0));
+}
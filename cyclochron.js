@@ -16,19 +16,105 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  * 
  * TODO:
- * Enable configuration of clock messages per step.
- * Enable turning clock and start/stop off.
  * Enable hiding the lines of symmetry.
  * Enable hiding the first beat indicator.
  * Enable rotating rhythm to random index after generation.
- * Enable rotating rhythm to best guess index(es) after generation.
- * Enable variable note-on length, rather than static at 50% of step.
- * Enable per-step editing of note-on length, velocity, pitch, etc.
- * Enable the creation of multiple cycles, allowing either polyrhythms or polymeters.
- * Enable swing.
- * Enable "gravitational pull" between polyrhythms.
- * Enable the sequencing of cycles, recursively.
  */
+import {
+  MIDI_NOTE_ON,
+  MIDI_NOTE_OFF,
+  MIDI_CONTROL_CHANGE,
+  MIDI_MAX_VELOCITY,
+  MIDI_CLOCK,
+  MIDI_START,
+  MIDI_CONTINUE,
+  MIDI_STOP,
+  MAX_MIDI_CLOCK_MESSAGES_PER_STEP,
+  MIDI_FILE_SINGLE_TRACK,
+  MIDI_FILE_MULTIPLE_TRACKS,
+  INTERNAL_CLOCK,
+  EXTERNAL_CLOCK,
+  POLYMETER,
+  POLYRHYTHM,
+  MIN_BEATS,
+  MAX_BEATS,
+  STEP_RESOLUTIONS,
+  SYMMETRICAL_GENERATOR,
+  EUCLIDEAN_GENERATOR,
+  MAXIMALLY_EVEN_GENERATOR,
+  MAX_SEED,
+  DEFAULT_PULSES,
+  TRIG_CONDITION_NOT_FIRST,
+  TRIG_CONDITION_FILL,
+  TRIG_CONDITION_PREVIOUS,
+  MIN_SWING,
+  MAX_SWING,
+  GROOVE_TEMPLATES,
+  createSequencer,
+  createCycle,
+  createPattern,
+  createCyclesSnapshot,
+  createPatternFile,
+  createMidiRouter,
+  addBeats,
+  isBeatActive,
+  getNextBeatIndex,
+  getBeatIndexAtTime,
+  clearBeats,
+  updateBeatCount,
+  updateBPM,
+  activateBeat,
+  deactivateBeat,
+  updateBeatParameters,
+  getTrigConditions,
+  recordBeat,
+  resetBeatParameters,
+  applyPattern,
+  restoreCyclesSnapshot,
+  updateCycleFirstBeatIndex,
+  updateBeats,
+  addCycle,
+  removeCycle,
+  updateCycleChild,
+  addSongEntry,
+  removeSongEntry,
+  createSongEntry,
+  canSequenceCycle,
+  getChildCycle,
+  isSequencedCycle,
+  getCycleBarPositions,
+  isSongPlaying,
+  isPlaybackPaused,
+  updateCycleRotationStateWithStepDegreeDelta,
+  updateCycleRotationStateForFlippedCycle,
+  explainGeneratorSettings,
+  shouldAllowOffbeatSymmetry,
+  mutateRhythm,
+  readPattern,
+  readNumber,
+  readMeter,
+  encodePatternHash,
+  decodePatternHash,
+  startCycle,
+  startPlayback,
+  stopPlayback,
+  pausePlayback,
+  continuePlayback,
+  advanceExternalClock,
+  startExternalClockPlayback,
+  createMidiFile,
+  rotateCycleToFirstBeatIndex,
+} from './cyclochron-core.js';
+import { analyzeRhythm, findAxesOfSymmetry } from './cyclochron-analysis.js';
+import {
+  INTERNAL_OUTPUT_ID,
+  createSynth,
+  createSample,
+  createInternalOutput,
+  renderAudio,
+  createWavFile,
+} from './cyclochron-audio.js';
+
 ;(function (cyclochron, undefined) {
   const SPACE_BAR_KEY_CODE = 32;
   const ARROW_LEFT_KEY_CODE = 37;
@@ -37,13 +123,62 @@
   const ARROW_DOWN_KEY_CODE = 40;
   const LETTER_G_KEY_CODE = 71;
   const LETTER_I_KEY_CODE = 73;
+  const LETTER_M_KEY_CODE = 77;
+  const LETTER_Z_KEY_CODE = 90;
+
+  const RECORD_OFF = 'off';
+  const LIVE_RECORDING = 'live'; // notes are placed at the beat playing when they arrive
+  const STEP_RECORDING = 'step'; // each note is placed at the next beat, whether playing or not
 
-  const MIDI_NOTE_ON = 144; // 0x90; 
-  const MIDI_NOTE_OFF = 128; // 0x80;
+  const MIDI_MAPPINGS_STORAGE_KEY = 'cyclochron.midiMappings';
+  const MIDI_OUTPUTS_STORAGE_KEY = 'cyclochron.midiOutputs';
 
-  const MIDI_CLOCK = 248; // 0xF8;
-  const MIDI_START = 250; // 0xFA;
-  const MIDI_STOP = 252; // 0xFC;
+  /**
+   * Controls that MIDI learn can bind to a CC or a note, keyed by element ID. The value of a CC
+   * or the velocity of a note is scaled across the min and max of a text input, or across the
+   * options of a select element. A button is pressed when the value rises past the midpoint.
+   */
+  const MIDI_LEARN_CONTROLS = {
+    bpm: { label: 'BPM', min: 40, max: 240 },
+    beats: { label: 'Beats', min: MIN_BEATS, max: MAX_BEATS },
+    maxRests: { label: 'Max Rests' },
+    maxRepeats: { label: 'Max Repeats' },
+    generateButton: { label: 'Generate' },
+    clearButton: { label: 'Clear' },
+    previousSeedButton: { label: 'Previous Seed' },
+    nextSeedButton: { label: 'Next Seed' },
+    mutateButton: { label: 'Mutate' },
+    startButton: { label: 'Start' },
+    stopButton: { label: 'Stop' },
+    pauseButton: { label: 'Pause' },
+    continueButton: { label: 'Continue' },
+    rotateLeftButton: { label: 'Rotate Left' },
+    rotateRightButton: { label: 'Rotate Right' },
+    flipButton: { label: 'Flip' },
+    undoButton: { label: 'Undo' },
+    redoButton: { label: 'Redo' },
+    gravitationalPull: { label: 'Pull', min: 0, max: 100 },
+  };
+  const MIDI_LEARN_BUTTON_THRESHOLD = 64;
+
+  const PATTERN_LIBRARY_STORAGE_KEY = 'cyclochron.patterns';
+  const SONG_STORAGE_KEY = 'cyclochron.song';
+  const OUTPUT_SETTINGS_STORAGE_KEY = 'cyclochron.outputSettings';
+  const MAX_SONG_ENTRY_REPEATS = 99;
+
+  const MAX_AUDIO_FILE_REPETITIONS = 99; // rendering is held in memory, unlike a MIDI file
+
+  const MAX_UNDO_HISTORY_LENGTH = 100;
+  const MAX_GENERATED_RHYTHMS = 8; // rhythms shown in the strip under the seed
+
+  const CYCLE_RING_SPACING = 24; // percentage of the outermost ring removed from each inner ring
+
+  // ratio conditions, such as 1:4, are shown as they are
+  const TRIG_CONDITION_LABELS = {
+    [TRIG_CONDITION_NOT_FIRST]: 'Not First',
+    [TRIG_CONDITION_FILL]: 'Fill',
+    [TRIG_CONDITION_PREVIOUS]: 'Previous',
+  };
 
   ////////////////////////// STATE OBJECT /////////////////////////
 
@@ -51,476 +186,417 @@
     pointerDown: false,
     animationFrameAvailable: true,
 
-    firstBeatIndex: 0,
-    currentBeatIndex: 0,
-
-    beats: [],
-    cachedBeats: [],
-    bpm: 120,
-    midiChannel: 1,
-    noteNumber: 60,
-    beatDurationPercentage: 0.5,
-    lastCorrectionTime: null,
+    selectedCycleIndex: 0, // cycle edited by the configuration form and the keyboard
 
     midiAccess: null,
-    midiPortID: null,
-    midiOutput: null,
-    midiClockMessagesPerStep: 6, // assumes each step is a sixteenth note
-
-    isPlaying: false,
-    beatIntervalID: null,
+    outputRoutes: [], // outputs played through, the first chosen by the port selector
+    areOutputRoutesSaved: false, // whether the outputs were chosen, rather than defaults
+    internalOutput: null, // Web Audio stand-in for a MIDI port, see getInternalOutput()
+    samples: new Map(), // sample of each note number, for the internal output and audio files
+    midiInputPortID: null,
+    midiInput: null,
+
+    recordMode: RECORD_OFF,
+    quantizeRecording: true,
+    stepEntryIndex: 0, // beat of the selected cycle that step recording writes to next
+
+    midiMappings: [], // see addMidiMapping()
+    midiMappingValues: {}, // last value received for each mapped control
+    isMidiLearning: false,
+    midiLearnControlID: null, // control waiting for a CC or note while learning
+
+    patterns: [], // the pattern library, see createPattern()
+
+    undoHistory: [], // the cycles before each edit, see recordEdit()
+    redoHistory: [], // the cycles before each undo
+    lastEditKey: null, // edits in a row with the same key are undone together
+    rotationStartSnapshot: null, // the cycles when dragging to rotate started
+    generatedRhythms: [], // the most recently generated rhythms, newest first
+
+    playbackAnimationFrameID: null,
+    scheduledSteps: [], // steps sent to MIDI output but not yet shown in the UI
+    scheduledSongPositions: [], // song positions of clock steps not yet shown in the UI
 
     rhythmGenerator: {
       maxRests: 2,
+      algorithm: SYMMETRICAL_GENERATOR,
+      seed: null, // seed of the last generated rhythm
     },
     allowOffbeatSymmetry: true,
     centerX: 0,
     centerY: 0,
-    
+
     degrees: 0, // directly from pointer events
     degreeDelta: 0, // difference between the last degrees and current degrees
-    rotationDegrees: 0, // the true degrees of rotation, while rotating
-    snapDegrees: 0, // degrees of rotation to snap to
 
-    cycleElement: null,
-    firstBeatIndicatorContainer: null,
-    beatMarkers: [],
-    beatElements: [],
+    selectedBeatIndex: null, // beat of the selected cycle shown in the step inspector
+    pendingEvolution: null, // mutated beats for the next pass, see handleCyclePassScheduled()
   }
 
-  /////////////////////////// CREATE DATA /////////////////////////
+  // the cycles, tempo and groove, along with the MIDI output, see createSequencer()
+  const sequencer = createSequencer({
+    onStepScheduled: step => state.scheduledSteps.push(step),
+    onSongEntryStarted: handleSongEntryStarted,
+    onSongPositionScheduled: position => state.scheduledSongPositions.push(position),
+    onCyclePassScheduled: handleCyclePassScheduled,
+  });
 
-  function addBeats(count) {
-    for (var i = 0; i < count; i++) {
-      state.beats.push({ active: false });
-    }
+  ///////////////////////// QUERY DATA ////////////////////////////
+
+  function getSelectedCycle() {
+    return sequencer.cycles[state.selectedCycleIndex];
   }
 
-  ///////////////////////// QUERY DATA ////////////////////////////
+  function getTrigConditionLabel(condition) {
+    return TRIG_CONDITION_LABELS[condition] ?? condition;
+  }
 
-  function isBeatActive(idx) {
-    return state.beats[idx]
-      ? state.beats[idx].active
-      : false;
+  function findPattern(name) {
+    return state.patterns.find(pattern => pattern.name === name) ?? null;
+  }
+
+  /**
+   * Read a CC or note message, which are the messages MIDI learn can bind to controls.
+   * @param {Uint8Array} data
+   * @return {Object|null} The type, channel, number and value of the message, or null for any
+   * other kind of message. The value of a note-off is zero.
+   */
+  function getMidiMappingMessage(data) {
+    const messageType = data[0] & 0xF0;
+    const channel = (data[0] & 0x0F) + 1;
+    switch (messageType) {
+      case MIDI_CONTROL_CHANGE:
+        return { type: 'cc', channel, number: data[1], value: data[2] };
+      case MIDI_NOTE_ON:
+        return { type: 'note', channel, number: data[1], value: data[2] };
+      case MIDI_NOTE_OFF:
+        return { type: 'note', channel, number: data[1], value: 0 };
+    }
+    return null;
   }
 
-  function getNextBeatIndex(idx) {
-    return idx === state.beats.length - 1
-      ? 0
-      : idx + 1;
+  function isSameMidiMessage(mapping, message) {
+    return mapping.type === message.type
+      && mapping.channel === message.channel
+      && mapping.number === message.number;
   }
 
-  function getPreviousBeatIndex(idx) {
-    return idx === 0
-      ? state.beats.length - 1
-      : idx - 1;
+  /**
+   * Find the port of an output route. The ID of a port can change when it is plugged in
+   * again, or between sessions, so a port with the same name is used when the ID is gone.
+   * @param {Object} route See addOutputRoute().
+   * @return {MIDIOutput|Object|null} The port, or null while it is disconnected.
+   */
+  function findOutputRoutePort(route) {
+    if (route.id === INTERNAL_OUTPUT_ID) {
+      return isInternalOutputAvailable() ? getInternalOutput() : null;
+    }
+    const ports = [...(state.midiAccess?.outputs.values() ?? [])]
+      .filter(port => port.state !== 'disconnected');
+    return ports.find(port => port.id === route.id)
+      ?? ports.find(port => port.name === route.name)
+      ?? null;
   }
 
   /**
-   * Beats are assumed to be sixteenth notes, realtive to a BPM based on quarter notes.
-   * Thus a 16-step cycle is assumed to be one measure long.
+   * @param {string} portID The ID of a MIDI output, or INTERNAL_OUTPUT_ID.
+   * @return {string|null} The name of the port, or null if there is no such port.
    */
-  function getBeatLength() {
-    const minute = 60 * 1000;
-    const quarterNoteDuration = minute / state.bpm;
-    return Math.floor(quarterNoteDuration / 4);
+  function getOutputPortName(portID) {
+    return portID === INTERNAL_OUTPUT_ID
+      ? 'Internal'
+      : state.midiAccess?.outputs.get(portID)?.name ?? null;
   }
 
-  //////////////////////// MUTATE DATA ////////////////////////////
+  function isInternalOutputRouted() {
+    return Boolean(sequencer.midiOutput?.routes.some(route =>
+      route.output === state.internalOutput
+    ));
+  }
 
-  function clearBeats() {
-    state.beats = [];
-    state.cachedBeats = [];
+  function findMidiMapping(message) {
+    return state.midiMappings.find(mapping => isSameMidiMessage(mapping, message)) ?? null;
   }
 
+  //////////////////////// MUTATE DATA ////////////////////////////
+
   /**
-   * Update the number of beats in the cycle, but perserve any removed 
-   * beats as cached beats that we can add back later.
-   * 
-   * It's important to remember here that the beatCount param does not
-   * map directly to a zero-indexed array. It's off by one, like the
-   * length of an array.
-   * 
-   * @param {integer} beatCount 
-   * @return {boolean} Whether the beats were updated.
+   * Bind a control to a CC or note. A control has at most one binding, and a CC or note is
+   * bound to at most one control, so any older mapping for either is replaced.
+   * @param {string} controlID Key of MIDI_LEARN_CONTROLS.
+   * @param {Object} message See getMidiMappingMessage().
    */
-  function updateBeatCount(beatCount) {
-    if (beatCount <= 1 || beatCount > 256) { // invalid input
-      return false;
-    }
+  function addMidiMapping(controlID, message) {
+    state.midiMappings = state.midiMappings.filter(mapping =>
+      mapping.controlID !== controlID && !isSameMidiMessage(mapping, message)
+    );
+    state.midiMappings.push({
+      controlID,
+      type: message.type,
+      channel: message.channel,
+      number: message.number,
+    });
+  }
 
-    const beatCountDiff = beatCount - state.beats.length;
-    if (beatCountDiff === 0) {
-      // no op
-      return false;
-    }
+  function removeMidiMapping(controlID) {
+    state.midiMappings = state.midiMappings.filter(mapping => mapping.controlID !== controlID);
+  }
 
-    if (beatCountDiff < 0) {
-      // too many beats, so cache the ones we don't need so we can get them back later
-      const idx = state.beats.length - (beatCountDiff * -1);
-      const removedBeats = state.beats.splice(idx);
-      state.cachedBeats = removedBeats.concat(state.cachedBeats);
-
-    } else { 
-      // not enough beats, so add all the cached ones we can, and then add more if we need them
-      if (state.cachedBeats.length === 0) {
-        addBeats(beatCountDiff);
-      } else {
-        const newBeatsToAdd = beatCountDiff - state.cachedBeats.length;
-        const removedCachedBeats = state.cachedBeats.splice(0, Math.max(beatCountDiff, 0));
-        state.beats = state.beats.concat(removedCachedBeats);
-        if (newBeatsToAdd > 0) {
-          addBeats(newBeatsToAdd);
-        }
-      }
+  function saveMidiMappings() {
+    window.localStorage.setItem(MIDI_MAPPINGS_STORAGE_KEY, JSON.stringify(state.midiMappings));
+  }
+
+  function loadMidiMappings() {
+    try {
+      const mappings = JSON.parse(window.localStorage.getItem(MIDI_MAPPINGS_STORAGE_KEY));
+      state.midiMappings = Array.isArray(mappings)
+        ? mappings.filter(mapping => MIDI_LEARN_CONTROLS[mapping.controlID])
+        : [];
+    } catch (error) {
+      // stored mappings that cannot be read are treated as no mappings at all
+      state.midiMappings = [];
     }
+  }
 
+  /**
+   * Play through another output as well, unless it is already played through on the same
+   * channel.
+   * @param {string} portID The ID of a MIDI output, or INTERNAL_OUTPUT_ID.
+   * @param {integer|null} channel The channel every note is sent on, or null to keep the
+   * channel of each cycle.
+   * @return {boolean} Whether the output was added.
+   */
+  function addOutputRoute(portID, channel) {
+    const name = getOutputPortName(portID);
+    const isRouted = state.outputRoutes.some(route =>
+      route.id === portID && route.channel === channel
+    );
+    if (name === null || isRouted) {
+      return false;
+    }
+    state.outputRoutes.push({ id: portID, name, channel });
     return true;
   }
 
-  function activateBeat(idx) {
-    if (state.beats[idx]) {
-      state.beats[idx].active = true;
+  function removeOutputRoute(routeIdx) {
+    state.outputRoutes.splice(routeIdx, 1);
+  }
+
+  function saveOutputRoutes() {
+    state.areOutputRoutesSaved = true;
+    window.localStorage.setItem(MIDI_OUTPUTS_STORAGE_KEY, JSON.stringify(
+      state.outputRoutes.map(route => ({
+        id: route.id,
+        name: route.name,
+        channel: route.channel,
+      })),
+    ));
+  }
+
+  function loadOutputRoutes() {
+    try {
+      const routes = JSON.parse(window.localStorage.getItem(MIDI_OUTPUTS_STORAGE_KEY));
+      state.areOutputRoutesSaved = Array.isArray(routes);
+      state.outputRoutes = Array.isArray(routes)
+        ? routes
+          .filter(route => typeof route?.id === 'string' && typeof route.name === 'string')
+          .map(route => ({
+            id: route.id,
+            name: route.name,
+            channel: route.channel == null ? null : readNumber(route.channel, 1, 16, null),
+          }))
+        : [];
+    } catch (error) {
+      // stored outputs that cannot be read are treated as no outputs chosen yet
+      state.areOutputRoutesSaved = false;
+      state.outputRoutes = [];
     }
   }
 
-  function deactivateBeat(idx) {
-    if (state.beats[idx]) {
-      state.beats[idx].active = false;
+  /**
+   * Add a pattern to the library, replacing any pattern with the same name.
+   * @param {Pattern} pattern
+   */
+  function addPattern(pattern) {
+    const idx = state.patterns.findIndex(otherPattern => otherPattern.name === pattern.name);
+    if (idx === -1) {
+      state.patterns.push(pattern);
+    } else {
+      state.patterns[idx] = pattern;
     }
   }
 
-  function updateBeats(maxRests, maxRepeats) {
-    // whether the line of symmetry is on the first beat or between the last beat and the first
-    var isLineOfSymmetryBetweenBeats = state.allowOffbeatSymmetry ? getCoinFlip() : false;
-    adjustRotationOfLinesOfSymmetry(isLineOfSymmetryBetweenBeats);
-    state.beats = generateSymmetricalRhythm(
-      maxRests, 
-      maxRepeats, 
-      state.beats.length, 
-      isLineOfSymmetryBetweenBeats,
-    );
+  function removePattern(name) {
+    state.patterns = state.patterns.filter(pattern => pattern.name !== name);
   }
 
-  function updateCenterCoordinates() {
-    const cycle = document.getElementById('cycle');
-    const cycleRect = cycle.getBoundingClientRect();
-    state.centerX = (cycleRect.left + cycleRect.right) / 2;
-    state.centerY = (cycleRect.top + cycleRect.bottom) / 2;
+  function savePatternLibrary() {
+    window.localStorage.setItem(PATTERN_LIBRARY_STORAGE_KEY, JSON.stringify(state.patterns));
   }
 
-  function saveReferencesToElements() {
-    state.cycleElement = document.getElementById('cycle');
-    state.firstBeatIndicatorContainer = document.getElementById('firstBeatIndicatorContainer');
-    state.beatMarkers = Array.from(document.getElementsByClassName('beatMarker'));
-    state.beatElements = Array.from(document.getElementsByClassName('beat'));
+  function loadPatternLibrary() {
+    try {
+      const patterns = JSON.parse(window.localStorage.getItem(PATTERN_LIBRARY_STORAGE_KEY));
+      state.patterns = Array.isArray(patterns)
+        ? patterns.map(readPattern).filter(pattern => pattern)
+        : [];
+    } catch (error) {
+      // a stored library that cannot be read is treated as an empty library
+      state.patterns = [];
+    }
   }
 
-  function updateCycleRotationStateWithPointerData(pointerX, pointerY) {
-    const lastDegrees = state.degrees;
-    const radians = Math.atan2(pointerY - state.centerY, pointerX - state.centerX);
+  function saveSong() {
+    window.localStorage.setItem(SONG_STORAGE_KEY, JSON.stringify({
+      isEnabled: sequencer.song.isEnabled,
+      entries: sequencer.song.entries,
+    }));
+  }
 
-    state.degrees = radians * (180 / Math.PI);
-    state.degreeDelta = lastDegrees ? state.degrees - lastDegrees : 0;
-    state.rotationDegrees += state.degreeDelta;
+  function loadSong() {
+    try {
+      const song = JSON.parse(window.localStorage.getItem(SONG_STORAGE_KEY));
+      sequencer.song.isEnabled = Boolean(song?.isEnabled);
+      sequencer.song.entries = Array.isArray(song?.entries)
+        ? song.entries
+          .map(entry => createSongEntry(
+            readPattern(entry?.pattern),
+            Math.round(readNumber(entry?.repeats, 1, MAX_SONG_ENTRY_REPEATS, 1)),
+          ))
+          .filter(entry => entry.pattern)
+        : [];
+    } catch (error) {
+      // a stored song that cannot be read is treated as an empty song
+      sequencer.song.entries = [];
+    }
+  }
 
-    const beatDegrees = 360 / state.beats.length;
-    if (state.rotationDegrees > state.snapDegrees + (beatDegrees / 2)) {
-      // cycle circle is stepping forward clockwise by a beat,
-      // thus the firstBeatIndex is stepping back by a beat.
-      state.firstBeatIndex = state.firstBeatIndex === 0
-        ? state.beats.length - 1
-        : state.firstBeatIndex - 1;
-      state.snapDegrees += beatDegrees;
-    } else if (state.rotationDegrees < state.snapDegrees - (beatDegrees / 2)) {
-      // cycle circle is stepping back counter-clockwise by a beat,
-      // thus the firstBeatIndex is stepping forward by a beat.
-      state.firstBeatIndex = state.firstBeatIndex === state.beats.length - 1
-        ? 0
-        : state.firstBeatIndex + 1;
-      state.snapDegrees -= beatDegrees;
+  function saveOutputSettings() {
+    window.localStorage.setItem(OUTPUT_SETTINGS_STORAGE_KEY, JSON.stringify({
+      isSendingClock: sequencer.isSendingClock,
+      midiClockMessagesPerStep: sequencer.midiClockMessagesPerStep,
+      isSendingTransport: sequencer.isSendingTransport,
+    }));
+  }
+
+  function loadOutputSettings() {
+    try {
+      const settings = JSON.parse(window.localStorage.getItem(OUTPUT_SETTINGS_STORAGE_KEY));
+      sequencer.isSendingClock = settings?.isSendingClock !== false;
+      sequencer.midiClockMessagesPerStep = Math.round(readNumber(
+        settings?.midiClockMessagesPerStep,
+        1,
+        MAX_MIDI_CLOCK_MESSAGES_PER_STEP,
+        sequencer.midiClockMessagesPerStep,
+      ));
+      sequencer.isSendingTransport = settings?.isSendingTransport !== false;
+    } catch (error) {
+      // stored settings that cannot be read leave the defaults in place
     }
   }
 
-  function updateCycleRotationStateWithStepDegreeDelta(stepDegreeDelta) {
-    if (stepDegreeDelta > 0) {
-      state.currentBeatIndex = state.currentBeatIndex === 0
-        ? state.beats.length - 1
-        : state.currentBeatIndex - 1;
-      state.firstBeatIndex = state.firstBeatIndex === 0
-        ? state.beats.length - 1
-        : state.firstBeatIndex - 1;
-    } else if (stepDegreeDelta < 0) {
-      state.currentBeatIndex = state.currentBeatIndex === state.beats.length - 1
-        ? 0
-        : state.currentBeatIndex + 1;
-      state.firstBeatIndex = state.firstBeatIndex === state.beats.length - 1
-        ? 0
-        : state.firstBeatIndex + 1;
-    }
-    state.rotationDegrees += stepDegreeDelta;
-    state.snapDegrees += stepDegreeDelta;
-  }
-
-  function updateCycleRotationStateForFlippedCycle() {
-    const idx = state.currentBeatIndex + state.beats.length / 2;
-    const currentBeatIndex = idx > state.beats.length - 1
-      ? currentBeatIndex -= state.beats.length
-      : idx;
-    state.currentBeatIndex = currentBeatIndex;
-
-    state.firstBeatIndex += state.beats.length / 2;
-    if (state.firstBeatIndex > state.beats.length - 1) {
-      state.firstBeatIndex -= state.beats.length;
-    }
-
-    state.rotationDegrees += 180;
-    if (state.rotationDegrees > 360) {
-      state.rotationDegrees -= 360;
-    }
-    state.snapDegrees += 180;
-    if (state.snapDegrees > 360) {
-      state.snapDegrees -= 360;
-    }
-  }
-
-  /////////////////////// DATA HELPERS /////////////////////////////
-
-  /**
-   * Generates beats designed for a symmetrical rhythm, where 
-   * the number of beats is an odd number.
-   * @param {integer} maxRests Max rests that may appear in a row
-   * @param {integer} maxRepeats Max repeated beats that may appear after the first beat in a series
-   * @param {integer} beatCount Total beats to be generated
-   */
-  function genRhythmForOddCount(maxRests, maxRepeats, beatCount) {
-    // An add meter rhythm presents a challenge, since the two beats at the mid point will be
-    // identical due to the bi-lateral symmetry. This affects whether the beats prior may be active.
-    // To solve this, we build up the beats from this mid-point, iterating back to the start.
-    var beats = Array(beatCount);
-    var lastIndex = beatCount - 1;
-    for (var idx = lastIndex; idx >= 0; idx--) {
-      if (idx === lastIndex) {
-        beats[idx] = { 
-          active: maxRepeats === 0 
-            ? false 
-            : maxRests === 1
-                ? true
-                : getCoinFlip() 
-        };
-      } else if (idx === 0) {
-        var numberOfBeatsToExamine = Math.ceil(maxRepeats / 2);
-        var beatsToExamine = beats.slice(1, 1 + numberOfBeatsToExamine);
-        if (!beatsToExamine.some(beat => !beat.active)) {
-          beats[0] = { active: false };
-        } else {
-          numberOfBeatsToExamine = Math.ceil(maxRests / 2);
-          beatsToExamine = beats.slice(1, 1 + numberOfBeatsToExamine);
-          if (!beatsToExamine.some(beat => beat.active)) {
-            beats[0] = { active: true };
-          } else {
-            beats[0] = { active: getCoinFlip() };
-          }
-        }
-      } else {
-        const previousIndex = idx + 1;
-        const isAtMaxRepeats = !beats.slice(previousIndex, previousIndex + maxRepeats + 1).some(beat => !beat.active);
-        const isAtMaxRests = !beats.slice(previousIndex, previousIndex + maxRests).some(beat => beat.active);
-        beats[idx] = ({ active: isAtMaxRests || (getCoinFlip() && !isAtMaxRepeats)});
+  /**
+   * Remember the cycles as they were before an edit, so that the edit can be undone. Edits in
+   * a row with the same key, such as each key typed into a number field, are undone together.
+   * Only the cycles are remembered, so the tempo and groove are left alone by undo.
+   * @param {string|null} editKey
+   * @param {Array<Object>} snapshot The cycles before the edit, for when they had to be copied
+   * before knowing whether the edit would be made. See createCyclesSnapshot().
+   */
+  function recordEdit(editKey = null, snapshot = createCyclesSnapshot(sequencer)) {
+    if (editKey === null || editKey !== state.lastEditKey) {
+      state.undoHistory.push(createHistoryEntry(snapshot));
+      if (state.undoHistory.length > MAX_UNDO_HISTORY_LENGTH) {
+        state.undoHistory.shift();
       }
     }
-    return beats;
+    state.lastEditKey = editKey;
+    state.redoHistory = [];
+    updateUndoButtons();
   }
 
-  function getNextStep(steps, maxRepeats, maxRests, isLineOfSymmetryBetweenBeats) {
-    const idx = steps.length;
-    const previousIndex = idx - 1;
-    const beatsToExamineForMaxRepeats = previousIndex - maxRepeats > 0
-      ? steps.slice(previousIndex - maxRepeats, idx)
-      : [...steps]
-          .reverse()
-          .concat(steps.slice(
-              !isLineOfSymmetryBetweenBeats, // concat from beginning with off beat symmetry, from index 1 for on beat
-              idx,
-            ))
-          .slice(-maxRepeats);
-    const beatsToExamineForMaxRests = idx - maxRests >= 0
-      ? steps.slice(idx - maxRests, idx)
-      : [...steps]
-          .reverse()
-          .concat(steps.slice(
-            !isLineOfSymmetryBetweenBeats, 
-            idx,
-          ))
-          .slice(-maxRests);
-    const isAtMaxRepeats = steps[previousIndex].active && !beatsToExamineForMaxRepeats.some(beat => !beat.active);
-    const isAtMaxRests = !steps[previousIndex].active && !beatsToExamineForMaxRests.some(beat => beat.active);
-    return { active: isAtMaxRests || (getCoinFlip() && !isAtMaxRepeats) };
-  }
-
-  /**
-   * Generates beats designed for a symmetrical rhythm, where  the number of beats is an even number 
-   * and the bi-lateral symmetry is on a beat.
-   * @param {integer} maxRests Max rests that may appear in a row
-   * @param {integer} maxRepeats Max repeated beats that may appear after the first beat in a series
-   * @param {integer} beatCount Total beats to be generated
-   */
-  function genRhythmForEvenCountWithOnBeatSymmetry(maxRests, maxRepeats, beatCount) {
-    // var beats = [];
-    // for (var idx = 0; idx < beatCount; idx++) {
-    //   const isAtMaxRests = maxRestsReached(beats, idx, maxRests - 1);
-    //   const isAtMaxRepeats = maxRepeatsReached(beats, idx, maxRepeats);
-    //   beats.push({ active: isAtMaxRests || (getCoinFlip() && !isAtMaxRepeats)});
-    // }
-    // return beats;
-
-    var beats = [];
-    for (var idx = 0; idx < beatCount; idx++) {
-      if (idx === 0) {
-        beats[idx] = { active: getCoinFlip() };
-      } else {
-        beats[idx] = getNextStep(beats, maxRepeats, maxRests);
-      }
+  function createHistoryEntry(snapshot) {
+    return { cycles: snapshot, selectedCycleIndex: state.selectedCycleIndex };
+  }
+
+  /**
+   * Remember the rhythm just generated for the cycle, unless it is the same as the last one.
+   * Cycles of different lengths can share the settings and seed, so the beats are compared too.
+   * @param {Cycle} cycle
+   * @param {Object} generator See getGeneratorSettings().
+   */
+  function addGeneratedRhythm(cycle, generator) {
+    const lastRhythm = state.generatedRhythms[0];
+    if (
+      lastRhythm
+      && JSON.stringify(lastRhythm.generator) === JSON.stringify(generator)
+      && lastRhythm.beats.length === cycle.beats.length
+      && lastRhythm.beats.every((beat, beatIndex) => beat.active === cycle.beats[beatIndex].active)
+    ) {
+      return;
     }
-    return beats;
+    state.generatedRhythms.unshift({
+      beats: cycle.beats.map(beat => ({ ...beat })),
+      isLineOfSymmetryBetweenBeats: cycle.isLineOfSymmetryBetweenBeats,
+      generator: { ...generator },
+    });
+    state.generatedRhythms.splice(MAX_GENERATED_RHYTHMS);
   }
 
   /**
-   * Generates beats designed for a symmetrical rhythm, where  the number of beats is an even number 
-   * and the bi-lateral symmetry fall between the beats.
-   * @param {integer} maxRests Max rests that may appear in a row
-   * @param {integer} maxRepeats Max repeated beats that may appear after the first beat in a series
-   * @param {integer} beatCount Total beats to be generated
-   */
-  function generateRhythmForEvenCountWithOffBeatSymmetry(
-    maxRests, 
-    maxRepeats, 
-    beatCount,
-  ) {
-    // The challenge here is that we have doubled hits and/or rests at both the beginning and the 
-    // end of the produced rhythm. In some ways this resembles the odd meter generation, except for
-    // the fact that we need to thing about the doubled hits and/or rests at both ends, instead of 
-    // only one end.
-    var beats = Array(beatCount);
-    var lastIndex = beatCount - 1;
-    for (var idx = 0; idx < beatCount; idx++) {
-      // first step
-      if (idx === 0) {
-        beats[0] = { 
-          active: maxRepeats === 0 
-            ? false 
-            : maxRests === 1
-                ? true
-                : getCoinFlip() 
-        };
-
-      // last step
-      } else if (idx === lastIndex) {
-        let numberOfPreviousActiveSteps = 0;
-        let numberOfPreviousRests = 0;
-        let examinationIndex = idx - 1;
-        while (examinationIndex >= 0) {
-          stepToExamine = beats[examinationIndex];
-          if (numberOfPreviousRests === 0 && stepToExamine.active) {
-            numberOfPreviousActiveSteps++;
-          } else if (numberOfPreviousActiveSteps === 0 && !stepToExamine.active) {
-            numberOfPreviousRests++;
-          } else {
-            break;
-          }
-          examinationIndex--;
-        }
-        const totalPossibleRepeats = (numberOfPreviousActiveSteps * 2);
-        const totalPossibleRests = (numberOfPreviousRests * 2) + 2;
-        if (totalPossibleRepeats <= maxRepeats && totalPossibleRests <= maxRests) {
-          beats[idx] = getCoinFlip();
-        } else if (totalPossibleRepeats <= maxRepeats) {
-          beats[idx] = { active:true }
-        } else if (totalPossibleRests <= maxRests) {
-          beats[idx] = { active:false }
-        } else {
-          alert(
-            'Failed to create rhythm. Does this ever happen? \n' +
-            'Total possible repeats: ' + totalPossibleRepeats + '\n' +
-            'Total possible rests: ' + totalPossibleRests + '\n',
-          );
-        }
+   * Apply the pattern to the sequencer, and start editing again from its first cycle.
+   * @param {Pattern} pattern
+   */
+  function applyPatternToSequencer(pattern) {
+    applyPattern(sequencer, pattern);
+    state.selectedCycleIndex = 0;
+    state.selectedBeatIndex = null;
+    state.stepEntryIndex = sequencer.cycles[0].firstBeatIndex;
+  }
 
-      // any other step
-      } else {
-        const previousIndex = idx - 1;
-        const maxRepeatsIndex = Math.max(previousIndex - maxRepeats, 0);
-        const beatsToExamineForMaxRepeats = previousIndex - maxRepeats > 0
-          ? beats.slice(maxRepeatsIndex, idx)
-          : beats
-              .slice(maxRepeatsIndex, idx)
-              .reverse()
-              .concat(beats.slice(maxRepeatsIndex, idx))
-              .slice(-maxRepeats);
-        const maxRestsIndex = Math.max(idx - maxRests, 0);
-        const beatsToExamineForMaxRests = idx - maxRests >= 0
-          ? beats.slice(maxRestsIndex, idx)
-          : beats
-              .slice(maxRestsIndex, idx)
-              .reverse()
-              .concat(beats.slice(maxRestsIndex, idx))
-              .slice(-maxRests);
-        const isAtMaxRepeats = beats[previousIndex].active && !beatsToExamineForMaxRepeats.some(beat => !beat.active);
-        const isAtMaxRests = !beats[previousIndex].active && !beatsToExamineForMaxRests.some(beat => beat.active);
-        beats[idx] = { active: isAtMaxRests || (getCoinFlip() && !isAtMaxRepeats)};
-      }
-    }
+  function updateCenterCoordinates() {
+    const cycleRect = sequencer.cycles[0].cycleElement.getBoundingClientRect();
+    state.centerX = (cycleRect.left + cycleRect.right) / 2;
+    state.centerY = (cycleRect.top + cycleRect.bottom) / 2;
+  }
 
-    return beats;
+  function saveReferencesToElements(cycle) {
+    cycle.firstBeatIndicatorContainer =
+      cycle.cycleElement.getElementsByClassName('firstBeatIndicatorContainer')[0];
+    cycle.phaseIndicatorContainer =
+      cycle.cycleElement.getElementsByClassName('phaseIndicatorContainer')[0];
+    cycle.symmetryElements = [
+      ...cycle.cycleElement.getElementsByClassName('symmetry'),
+      ...cycle.cycleElement.getElementsByClassName('crossSymmetry'),
+    ];
+    cycle.beatMarkers = Array.from(cycle.cycleElement.getElementsByClassName('beatMarker'));
+    cycle.beatElements = Array.from(cycle.cycleElement.getElementsByClassName('beat'));
   }
 
-  function generateSymmetricalRhythm(
-    maxRests, 
-    maxRepeats, 
-    beatCount, 
-    isLineOfSymmetryBetweenBeats,
-  ) {
-    // even: half. odd: less than half.
-    var halfBeatCount = Math.floor(beatCount / 2);
+  function updateCycleRotationStateWithPointerData(cycle, pointerX, pointerY) {
+    const lastDegrees = state.degrees;
+    const radians = Math.atan2(pointerY - state.centerY, pointerX - state.centerX);
 
-    // does the cycle have an odd number of beats
-    var oddNumberOfBeats = beatCount % 2;
+    state.degrees = radians * (180 / Math.PI);
+    state.degreeDelta = lastDegrees ? state.degrees - lastDegrees : 0;
+    cycle.rotationDegrees += state.degreeDelta;
 
-    var beats = [];
-    if (oddNumberOfBeats) {
-      beats = genRhythmForOddCount(maxRests, maxRepeats, halfBeatCount + 1);
-    } else if (!isLineOfSymmetryBetweenBeats) {
-      beats = genRhythmForEvenCountWithOnBeatSymmetry(maxRests, maxRepeats, halfBeatCount);
-    } else {
-      beats = generateRhythmForEvenCountWithOffBeatSymmetry(maxRests, maxRepeats, halfBeatCount)
-    }
-
-    // create second half of rhythm
-    for (var idx = 0; idx < halfBeatCount; idx++) {
-      const index = halfBeatCount + idx + oddNumberOfBeats;
-      // Determine middle beat of a rhythm with an even count and on beat symmetry
-      if (idx === 0 && !oddNumberOfBeats && !isLineOfSymmetryBetweenBeats) {
-        var numberOfBeatsToExamine = maxRepeats === 0
-          ? 1
-          : Math.ceil(maxRepeats / 2);
-        var beatsToExamine = beats.slice(-numberOfBeatsToExamine);
-        if (!beatsToExamine.some(beat => !beat.active)) { // all examined beats are active
-          beats[index] = { active: false };
-        } else {
-          numberOfBeatsToExamine = Math.ceil(maxRests / 2);
-          beatsToExamine = beats.slice(-numberOfBeatsToExamine);
-          if (!beatsToExamine.some(beat => beat.active)) { // all examined beats are rests
-            beats[index] = { active: true };
-          } else {
-            beats[index] = { active: getCoinFlip() };
-          }
-        }
-      } else {
-        const mirrorBeatIndex = halfBeatCount - idx - isLineOfSymmetryBetweenBeats;
-        beats[index] = beats[mirrorBeatIndex];
-      }
+    const beatDegrees = 360 / cycle.beats.length;
+    if (cycle.rotationDegrees > cycle.snapDegrees + (beatDegrees / 2)) {
+      // cycle circle is stepping forward clockwise by a beat,
+      // thus the firstBeatIndex is stepping back by a beat.
+      cycle.firstBeatIndex = cycle.firstBeatIndex === 0
+        ? cycle.beats.length - 1
+        : cycle.firstBeatIndex - 1;
+      cycle.snapDegrees += beatDegrees;
+    } else if (cycle.rotationDegrees < cycle.snapDegrees - (beatDegrees / 2)) {
+      // cycle circle is stepping back counter-clockwise by a beat,
+      // thus the firstBeatIndex is stepping forward by a beat.
+      cycle.firstBeatIndex = cycle.firstBeatIndex === cycle.beats.length - 1
+        ? 0
+        : cycle.firstBeatIndex + 1;
+      cycle.snapDegrees -= beatDegrees;
     }
-    return beats;
   }
 
   /////////////////////////// MODIFY UI ///////////////////////////
@@ -536,21 +612,21 @@
   }
 
   /**
-   * Add new beat elements based on an array of beats.
-   * @param {Array<Beat>} beats
-   * @param {HTMLElement} cycle
+   * Add new beat elements based on the beats of a cycle.
+   * @param {Cycle} cycle
    */
-  function addBeatElements(beats, cycle) {
-    const beatElements = beats.map((_beat, idx) => {
+  function addBeatElements(cycle) {
+    const beatElements = cycle.beats.map((_beat, idx) => {
       const beatElement = document.createElement('div');
       beatElement.setAttribute(
         'class',
-        isBeatActive(idx)
+        isBeatActive(cycle, idx)
           ? 'beat beatActive'
           : 'beat'
       );
-      
-      const rotationDegrees = (idx * (360 / state.beats.length)) + 'deg';
+      updateBeatConditionElement(beatElement, cycle.beats[idx]);
+
+      const rotationDegrees = (idx * (360 / cycle.beats.length)) + 'deg';
       beatElement.style.transform = `rotate(${rotationDegrees}) translateY(-50%)`;
 
       const beatMarker = document.createElement('div');
@@ -558,19 +634,238 @@
       beatElement.append(beatMarker);
 
       beatElement.addEventListener('click', (e) => {
-        handleBeatClick(beatElement, idx);
+        handleBeatClick(e, cycle, beatElement, idx);
       });
 
       return beatElement;
     });
-    cycle.append(...beatElements);
+    cycle.cycleElement.append(...beatElements);
+  }
+
+  /**
+   * Mark a beat with a trigger condition, which only plays on some passes, and show the
+   * condition when hovering over it.
+   * @param {HTMLElement} beatElement
+   * @param {Beat} beat
+   */
+  function updateBeatConditionElement(beatElement, beat) {
+    beatElement.classList.toggle('beatConditional', beat.condition !== null);
+    if (beat.condition === null) {
+      beatElement.removeAttribute('title');
+    } else {
+      beatElement.title = getTrigConditionLabel(beat.condition);
+    }
+  }
+
+  /**
+   * Create the ring for a cycle. Each cycle after the first is drawn inside the previous one.
+   * @param {integer} cycleIdx
+   * @return {HTMLElement}
+   */
+  function createCycleElement(cycleIdx) {
+    const cycleElement = document.createElement('div');
+    cycleElement.setAttribute('class', 'cycle');
+    const size = 100 - (cycleIdx * CYCLE_RING_SPACING);
+    const offset = (100 - size) / 2;
+    cycleElement.style.width = size + '%';
+    cycleElement.style.height = size + '%';
+    cycleElement.style.top = offset + '%';
+    cycleElement.style.left = offset + '%';
+
+    const firstBeatIndicatorContainer = document.createElement('div');
+    firstBeatIndicatorContainer.setAttribute('class', 'firstBeatIndicatorContainer');
+    const firstBeatIndicator = document.createElement('div');
+    firstBeatIndicator.setAttribute('class', 'firstBeatIndicator');
+    firstBeatIndicatorContainer.append(firstBeatIndicator);
+
+    const phaseIndicatorContainer = document.createElement('div');
+    phaseIndicatorContainer.setAttribute('class', 'phaseIndicatorContainer hidden');
+    const phaseIndicator = document.createElement('div');
+    phaseIndicator.setAttribute('class', 'phaseIndicator');
+    phaseIndicatorContainer.append(phaseIndicator);
+
+    cycleElement.append(firstBeatIndicatorContainer, phaseIndicatorContainer);
+    return cycleElement;
+  }
+
+  function layoutCycles() {
+    const cyclesContainer = document.getElementById('cycles');
+    removeHTMLCollection(cyclesContainer.getElementsByClassName('cycle'));
+    // every ring is in place before any beats, since laying out beats updates every ring
+    sequencer.cycles.forEach((cycle, cycleIdx) => {
+      cycle.cycleElement = createCycleElement(cycleIdx);
+      cyclesContainer.append(cycle.cycleElement);
+      saveReferencesToElements(cycle);
+    });
+    sequencer.cycles.forEach((cycle) => {
+      layoutBeats(cycle);
+      rotateCycleElement(cycle, cycle.snapDegrees);
+      rotateFirstBeatIndicatorContainer(cycle, cycle.snapDegrees);
+    });
+    updateSelectedCycleElement();
+  }
+
+  function layoutBeats(cycle) {
+    removeHTMLCollection(cycle.cycleElement.getElementsByClassName('beat'));
+    addBeatElements(cycle);
+    saveReferencesToElements(cycle); // must be called last
+    layoutBarLines();
+    updateCycleAnalysis(cycle);
+    if (cycle === getSelectedCycle()) {
+      if (state.selectedBeatIndex !== null && state.selectedBeatIndex >= cycle.beats.length) {
+        state.selectedBeatIndex = null;
+      }
+      updateStepInspector();
+      updateStepEntryElement();
+    }
+  }
+
+  /**
+   * Show the analysis of the cycle's beats, after the beats have been edited in any way.
+   * @param {Cycle} cycle
+   */
+  function updateCycleAnalysis(cycle) {
+    layoutLinesOfSymmetry(cycle);
+    if (cycle === getSelectedCycle()) {
+      updateAnalysisElements();
+    }
+  }
+
+  /**
+   * Show the symmetry of the selected cycle, and list its downbeat candidates to snap to.
+   */
+  function updateAnalysisElements() {
+    const analysis = analyzeRhythm(getSelectedCycle().beats);
+    document.getElementById('analysisSummary').textContent = describeRhythmAnalysis(analysis);
+    const candidateSelector = document.getElementById('downbeatCandidates');
+    removeHTMLCollection(candidateSelector.children);
+    for (const candidate of analysis.downbeats) {
+      const option = document.createElement('option');
+      option.text = `Beat ${candidate.firstBeatIndex + 1} (${Math.round(candidate.score * 100)}%)`;
+      option.value = candidate.firstBeatIndex;
+      candidateSelector.add(option);
+    }
+    if (analysis.downbeats.length === 0) {
+      const option = document.createElement('option');
+      option.text = 'NONE';
+      option.value = '';
+      candidateSelector.add(option);
+    }
+    document.getElementById('snapDownbeatButton').disabled = analysis.downbeats.length === 0;
+  }
+
+  /**
+   * Mark the beat that step recording writes to next, if step recording is on.
+   */
+  function updateStepEntryElement() {
+    const cycle = getSelectedCycle();
+    sequencer.cycles.forEach((otherCycle) => {
+      otherCycle.beatElements.forEach((beatElement, beatIdx) => {
+        beatElement.classList.toggle(
+          'beatStepEntry',
+          state.recordMode === STEP_RECORDING
+            && otherCycle === cycle
+            && beatIdx === state.stepEntryIndex,
+        );
+      });
+    });
+  }
+
+  function updateSelectedCycleElement() {
+    sequencer.cycles.forEach((cycle, cycleIdx) => {
+      cycle.cycleElement.classList.toggle('cycleSelected', cycleIdx === state.selectedCycleIndex);
+      cycle.cycleElement.classList.toggle('cycleSequenced', isSequencedCycle(sequencer, cycle));
+    });
+  }
+
+  /**
+   * Show the settings of the selected cycle in the configuration form.
+   */
+  function updateCycleControls() {
+    const cycle = getSelectedCycle();
+    const cycleSelector = document.getElementById('cycleSelector');
+    removeHTMLCollection(cycleSelector.children);
+    sequencer.cycles.forEach((otherCycle, cycleIdx) => {
+      const parentCycleIdx = sequencer.cycles.findIndex(parentCycle =>
+        getChildCycle(sequencer, parentCycle) === otherCycle
+      );
+      const option = document.createElement('option');
+      option.text = parentCycleIdx === -1
+        ? cycleIdx + 1
+        : `${cycleIdx + 1} (Triggered by ${parentCycleIdx + 1})`;
+      option.value = cycleIdx;
+      cycleSelector.add(option);
+    });
+    cycleSelector.value = state.selectedCycleIndex;
+    document.getElementById('beats').value = cycle.beats.length;
+    document.getElementById('stepResolution').value = cycle.stepResolution;
+    document.getElementById('noteNumber').value = cycle.noteNumber;
+    document.getElementById('midiChannel').value = cycle.midiChannel;
+    updateChildCycleOptions();
+  }
+
+  /**
+   * List the cycles that the active beats of the selected cycle can trigger, instead of
+   * playing notes.
+   */
+  function updateChildCycleOptions() {
+    const childCycleSelector = document.getElementById('childCycle');
+    removeHTMLCollection(childCycleSelector.children);
+    const option = document.createElement('option');
+    option.text = 'Notes';
+    option.value = '';
+    childCycleSelector.add(option);
+    sequencer.cycles.forEach((_cycle, cycleIdx) => {
+      if (!canSequenceCycle(sequencer.cycles, state.selectedCycleIndex, cycleIdx)) {
+        return;
+      }
+      const option = document.createElement('option');
+      option.text = `Cycle ${cycleIdx + 1}`;
+      option.value = cycleIdx;
+      childCycleSelector.add(option);
+    });
+    childCycleSelector.value = getSelectedCycle().childCycleIndex ?? '';
   }
 
-  function layoutBeats() {
-    const cycle = document.getElementById('cycle');
-    removeHTMLCollection(document.getElementsByClassName('beat'));
-    addBeatElements(state.beats, cycle);
-    saveReferencesToElements(); // must be called last
+  /**
+   * Show the note parameters of the selected beat, or hide the inspector if no beat is selected.
+   */
+  function updateStepInspector() {
+    const inspector = document.getElementById('stepInspector');
+    const idx = state.selectedBeatIndex;
+    const cycle = getSelectedCycle();
+    sequencer.cycles.forEach((otherCycle) => {
+      otherCycle.beatElements.forEach((beatElement, beatIdx) => {
+        beatElement.classList.toggle('beatSelected', otherCycle === cycle && beatIdx === idx);
+      });
+    });
+    if (idx === null) {
+      inspector.classList.add('hidden');
+      return;
+    }
+    const beat = cycle.beats[idx];
+    inspector.classList.remove('hidden');
+    document.getElementById('stepInspectorIndex').textContent = idx + 1;
+    document.getElementById('stepVelocity').value = beat.velocity;
+    document.getElementById('stepNoteNumber').value = beat.noteNumber ?? '';
+    document.getElementById('stepNoteNumber').placeholder = cycle.noteNumber;
+    document.getElementById('stepGate').value = beat.gate === null
+      ? ''
+      : Math.round(beat.gate * 100);
+    document.getElementById('stepGate').placeholder =
+      Math.round(sequencer.beatDurationPercentage * 100);
+    document.getElementById('stepProbability').value = Math.round(beat.probability * 100);
+    document.getElementById('stepCondition').value = beat.condition ?? '';
+  }
+
+  function updateStepConditionOptions() {
+    const conditionSelector = document.getElementById('stepCondition');
+    for (const condition of getTrigConditions()) {
+      const option = document.createElement('option');
+      option.text = getTrigConditionLabel(condition);
+      option.value = condition;
+      conditionSelector.add(option);
+    }
   }
 
   function enableOffbeatSymmetryCheckboxIfNeeded() {
@@ -593,302 +888,1535 @@
     label.setAttribute('class', 'disabled');
   }
 
-  function adjustMaxRestsIfNeeded() {
-    if (state.beats.length % 2 && parseInt(document.getElementById('maxRepeats').value) === 0) {
-      const maxRests = document.getElementById('maxRests');
-      if (parseInt(maxRests.value) === 1) {
-        maxRests.value = 2;
-      }
+  /**
+   * Show why the generator cannot make a rhythm, or hide the message if it can.
+   * @param {Object|null} explanation See explainImpossibleRhythm().
+   */
+  function updateGeneratorMessage(explanation) {
+    const generatorMessage = document.getElementById('generatorMessage');
+    generatorMessage.classList.toggle('hidden', !explanation);
+    if (!explanation) {
+      return;
     }
+    const suggestions = explanation.suggestions.map(suggestion => suggestion.maxRests
+      ? `Max Rests ${suggestion.maxRests}`
+      : `Max Repeats ${suggestion.maxRepeats}`
+    );
+    generatorMessage.textContent = suggestions.length
+      ? `${explanation.message} Try ${suggestions.join(' or ')}.`
+      : explanation.message;
   }
 
-  function adjustMaxRepeatsIfNeeded() {
-    if (state.beats.length % 2 && parseInt(document.getElementById('maxRests').value) === 1) {
-      const maxRepeats = document.getElementById('maxRepeats');
-      if (parseInt(maxRepeats.value) === 0) {
-        maxRepeats.value = 1;
-      }
+  function rotateCycleElement(cycle, degrees) {
+    cycle.cycleElement.style.transform = `rotate(${degrees}deg)`;
+  }
+
+  function rotateFirstBeatIndicatorContainer(cycle, degrees) {
+    cycle.firstBeatIndicatorContainer.style.transform = `rotate(${-degrees}deg) translateY(-50%)`;
+  }
+
+  /**
+   * Show where the downbeat of the first cycle falls against the downbeat of this cycle,
+   * which is marked by the first beat indicator. The two indicators meet when the downbeats
+   * line up.
+   * @param {Cycle} cycle
+   * @param {number|null} phaseError See getCyclePhaseError(), or null to hide the indicator.
+   */
+  function updatePhaseIndicator(cycle, phaseError) {
+    cycle.phaseIndicatorContainer.classList.toggle('hidden', phaseError === null);
+    if (phaseError !== null) {
+      // when this cycle is behind, the first cycle's downbeat came before its own
+      const degrees = -(phaseError * 360) - cycle.rotationDegrees;
+      cycle.phaseIndicatorContainer.style.transform = `rotate(${degrees}deg) translateY(-50%)`;
+    }
+  }
+
+  /**
+   * Draw a line on every axis of symmetry found in the beats of the cycle, whether they were
+   * generated or edited by hand. The axis nearest the first beat is the main line of symmetry,
+   * and any others are drawn as cross lines. A cycle whose beats are all the same is symmetrical
+   * about every axis, so only the axis through the first beat is drawn.
+   * @param {Cycle} cycle
+   */
+  function layoutLinesOfSymmetry(cycle) {
+    for (const symmetryElement of cycle.symmetryElements) {
+      symmetryElement.remove();
     }
+    const beatCount = cycle.beats.length;
+    const analysis = analyzeRhythm(cycle.beats);
+    const axes = analysis.isUniform
+      ? [{ position: 0 }]
+      : [...analysis.axes].sort((a, b) =>
+          getAxisDistanceFromBeat(a, cycle.firstBeatIndex, beatCount)
+            - getAxisDistanceFromBeat(b, cycle.firstBeatIndex, beatCount)
+        );
+    cycle.symmetryElements = axes.map((axis, axisIdx) => {
+      const symmetryElement = document.createElement('div');
+      symmetryElement.setAttribute('class', axisIdx === 0 ? 'symmetry' : 'crossSymmetry');
+      // a cross line is horizontal before rotation, and the main line is vertical
+      const degrees = (axis.position * (360 / beatCount)) - (axisIdx === 0 ? 0 : 90);
+      symmetryElement.style.transform = `rotate(${degrees}deg)`;
+      return symmetryElement;
+    });
+    cycle.firstBeatIndicatorContainer.after(...cycle.symmetryElements);
   }
 
-  function rotateCycleElement(degrees) {
-    state.cycleElement.style.transform = `rotate(${degrees}deg)`;
+  /**
+   * Mark the bars of the meter on every ring. The bar lines hang from the first beat
+   * indicator, so that they turn with it while a cycle is rotated. In a polyrhythm, the bar
+   * lines of every cycle depend on the first cycle, so they are all laid out together.
+   */
+  function layoutBarLines() {
+    for (const cycle of sequencer.cycles) {
+      const container = cycle.firstBeatIndicatorContainer;
+      removeHTMLCollection(container.getElementsByClassName('barLine'));
+      const barLines = getCycleBarPositions(sequencer, cycle).map((position) => {
+        const barLine = document.createElement('div');
+        barLine.setAttribute('class', 'barLine');
+        barLine.style.transform = `rotate(${position * (360 / cycle.beats.length)}deg)`;
+        return barLine;
+      });
+      container.append(...barLines);
+    }
   }
 
-  function rotateFirstBeatIndicatorContainer(degrees) {
-    state.firstBeatIndicatorContainer.style.transform = `rotate(${-degrees}deg) translateY(-50%)`;
+  function updateUndoButtons() {
+    document.getElementById('undoButton').disabled = state.undoHistory.length === 0;
+    document.getElementById('redoButton').disabled = state.redoHistory.length === 0;
   }
 
-  function adjustRotationOfLinesOfSymmetry(isLineOfSymmetryBetweenBeats) {
-    const degrees = isLineOfSymmetryBetweenBeats
-      ? -(360 / state.beats.length) / 2
-      : 0;
-    document.getElementById('symmetry').style.transform = `rotate(${degrees}deg)`;
-    document.getElementById('crossSymmetry').style.transform = `rotate(${degrees}deg)`;
+  /**
+   * Show each recently generated rhythm as a strip of its beats, which can be clicked to bring
+   * the rhythm back.
+   */
+  function updateGeneratedRhythmList() {
+    const rhythmList = document.getElementById('generatedRhythmList');
+    removeHTMLCollection(rhythmList.children);
+    state.generatedRhythms.forEach((rhythm, rhythmIdx) => {
+      const rhythmButton = document.createElement('button');
+      rhythmButton.setAttribute('class', 'generatedRhythm');
+      rhythmButton.title = `Seed ${rhythm.generator.seed}`;
+      rhythmButton.append(...rhythm.beats.map(beat => {
+        const beatElement = document.createElement('span');
+        beatElement.setAttribute(
+          'class',
+          beat.active ? 'generatedRhythmBeat beatActive' : 'generatedRhythmBeat',
+        );
+        return beatElement;
+      }));
+      rhythmButton.addEventListener('click', () => {
+        handleGeneratedRhythmClicked(rhythmIdx);
+      });
+      rhythmList.append(rhythmButton);
+    });
   }
 
   /**
-   * Updates the options in the MIDI Output Port select element.
+   * Updates the options in a MIDI port select element. The outputs begin with the internal
+   * output, where the browser can play audio.
    * Worth noting that a MIDIOutputMap is a maplike object 
-   * of type maplike<DOMString, MIDIOutput>.
+   * of type maplike<DOMString, MIDIOutput>, and a MIDIInputMap is the same for MIDIInput.
    * See https://www.w3.org/TR/webmidi/#idl-def-MIDIOutputMap 
-   * @param {MIDIOutputMap} outputs 
+   * @param {string} portSelectorID 'midiOutputPort', 'routeOutputPort' or 'midiInputPort'.
+   * @param {MIDIOutputMap|MIDIInputMap} ports 
    */
-  function updatePortSelectorOptions(outputs) {
-    const portSelector = document.getElementById('midiOutputPort');
-    for (child of portSelector.children) {
-      child.remove();
+  function updatePortSelectorOptions(portSelectorID, ports) {
+    const portSelector = document.getElementById(portSelectorID);
+    removeHTMLCollection(portSelector.children);
+    if (portSelectorID !== 'midiInputPort' && isInternalOutputAvailable()) {
+      const option = document.createElement("option");
+      option.text = 'Internal';
+      option.value = INTERNAL_OUTPUT_ID;
+      portSelector.add(option);
     }
-    if (outputs.size) {
-      for (output of outputs.values()) {
+    if (ports.size) {
+      for (const port of ports.values()) {
         const option = document.createElement("option");
-        const name = output.name.length < 15
-          ? output.name
-          : output.name.slice(0, 15) + '...';
+        const name = port.name.length < 15
+          ? port.name
+          : port.name.slice(0, 15) + '...';
         option.text = name;
-        option.value = output.id;
+        option.value = port.id;
         portSelector.add(option);
       }
-    } else {
+    } else if (portSelector.options.length === 0) {
       const option = document.createElement("option");
       option.text = 'NONE';
       portSelector.add(option);
     }
   }
 
-  function clearBeatMarkers() {
-    for (marker of state.beatMarkers) {
-      marker.classList.remove('playing');
+  /**
+   * Show the ports that can be played through, and the port and channel of the first output.
+   * A first output whose port has gone is still shown, so that it is clear what will play
+   * when the port comes back.
+   */
+  function updateOutputSelectors() {
+    const ports = state.midiAccess?.outputs ?? new Map();
+    const routePortSelector = document.getElementById('routeOutputPort');
+    const routePortID = routePortSelector.value;
+    updatePortSelectorOptions('midiOutputPort', ports);
+    updatePortSelectorOptions('routeOutputPort', ports);
+    if ([...routePortSelector.options].some(option => option.value === routePortID)) {
+      routePortSelector.value = routePortID;
+    }
+    const firstRoute = state.outputRoutes[0];
+    if (!firstRoute) {
+      return;
+    }
+    const portSelector = document.getElementById('midiOutputPort');
+    if (![...portSelector.options].some(option => option.value === firstRoute.id)) {
+      for (const option of [...portSelector.options].filter(option => option.text === 'NONE')) {
+        option.remove();
+      }
+      const option = document.createElement('option');
+      option.text = `${firstRoute.name} (offline)`;
+      option.value = firstRoute.id;
+      portSelector.add(option);
     }
+    portSelector.value = firstRoute.id;
+    document.getElementById('midiOutputChannel').value = firstRoute.channel ?? '';
   }
 
-  //////////////////////////// UTILS & HELPERS ////////////////////////
-
-  function getCoinFlip() {
-    return Math.random(0, 1) < 0.5;
+  /**
+   * List the outputs played through along with the first output, each with its channel.
+   */
+  function updateOutputRouteList() {
+    const routeList = document.getElementById('outputRouteList');
+    removeHTMLCollection(routeList.children);
+    if (state.outputRoutes.length <= 1) {
+      const item = document.createElement('li');
+      item.textContent = 'NONE';
+      routeList.append(item);
+      return;
+    }
+    state.outputRoutes.forEach((route, routeIdx) => {
+      if (routeIdx === 0) {
+        return;
+      }
+      const item = document.createElement('li');
+      const channel = route.channel === null ? 'Cycle Channels' : `Channel ${route.channel}`;
+      const offline = findOutputRoutePort(route) ? '' : ' (offline)';
+      item.textContent = `${route.name}${offline}, ${channel} `;
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'REMOVE';
+      removeButton.addEventListener('click', () => {
+        handleRemoveOutputRouteButtonClicked(routeIdx);
+      });
+      item.append(removeButton);
+      routeList.append(item);
+    });
   }
 
-  function shouldAllowOffbeatSymmetry(beatCount, maxRests, maxRepeats) {
-    if (beatCount % 2 || maxRests === 1 || maxRepeats === 0) {
-      return false;
+  function updateBPMInput() {
+    const bpmInput = document.getElementById('bpm');
+    const roundedBPM = String(Math.round(sequencer.bpm));
+    if (bpmInput.value !== roundedBPM) {
+      bpmInput.value = roundedBPM;
     }
-    return true;
   }
 
-  // function getRandomInt(min, max) {
-  //   min = Math.ceil(min);
-  //   max = Math.floor(max);
-  //   return Math.floor(Math.random() * (max - min + 1)) + min;
-  // }
+  function updateClockSourceControls() {
+    const isExternalClock = sequencer.clockSource === EXTERNAL_CLOCK;
+    document.getElementById('bpm').disabled = isExternalClock;
+    document.getElementById('pauseButton').disabled = isExternalClock;
+    document.getElementById('continueButton').disabled = isExternalClock;
+  }
 
-  /////////////// MIDI SET UP AND SEQUENCER PLAYBACK ////////////////
+  function updateOutputSettingsControls() {
+    document.getElementById('sendClock').checked = sequencer.isSendingClock;
+    document.getElementById('clockMessagesPerStep').value = sequencer.midiClockMessagesPerStep;
+    document.getElementById('sendTransport').checked = sequencer.isSendingTransport;
+  }
 
   /**
-   * Request MIDI access and set up success and failure handlers.
-   * See https://www.w3.org/TR/webmidi/#requestmidiaccess
+   * Mark the controls that can be learned while MIDI learn is on, and the control that is
+   * waiting for a CC or note.
    */
-  function setUpMidi() {
-    navigator.requestMIDIAccess()
-      .then(handleMidiSuccess, handleMidiFailure);
+  function updateMidiLearnElements() {
+    document
+      .getElementById('configurationContainer')
+      .classList.toggle('midiLearning', state.isMidiLearning);
+    document.getElementById('midiLearnButton').textContent = state.isMidiLearning
+      ? 'DONE'
+      : 'MIDI LEARN';
+    for (const controlID of Object.keys(MIDI_LEARN_CONTROLS)) {
+      const element = document.getElementById(controlID);
+      element.classList.add('midiLearnable');
+      element.classList.toggle('midiLearnTarget', controlID === state.midiLearnControlID);
+    }
   }
 
-  /**
-   * Send a note-on message followed by a note-off message.
-   * @param {integer} noteDuration Length of time between note-on and note-off messages. 
-   */
-  function sendNote(noteDuration) {
-    const noteOnMessage = [
-      MIDI_NOTE_ON + state.midiChannel - 1, 
-      noteNumber, 
-      0x7f,
-    ];
-    const noteOffMessage = [
-      MIDI_NOTE_OFF + state.midiChannel - 1,
-      noteNumber,
-      0x00,
-    ];
-    state.midiOutput?.send(noteOnMessage);
-    state.midiOutput?.send(noteOffMessage, window.performance.now() + noteDuration);   
+  function updateMidiMappingList() {
+    const mappingList = document.getElementById('midiMappingList');
+    removeHTMLCollection(mappingList.children);
+    if (state.midiMappings.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'NONE';
+      mappingList.append(item);
+      return;
+    }
+    for (const mapping of state.midiMappings) {
+      const item = document.createElement('li');
+      const messageName = mapping.type === 'cc' ? 'CC' : 'Note';
+      item.textContent = `${MIDI_LEARN_CONTROLS[mapping.controlID].label}: ` +
+        `${messageName} ${mapping.number} Ch ${mapping.channel} `;
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'REMOVE';
+      removeButton.addEventListener('click', () => {
+        handleRemoveMidiMappingButtonClicked(mapping.controlID);
+      });
+      item.append(removeButton);
+      mappingList.append(item);
+    }
   }
 
   /**
-   * Note that the duration here is is the full length of the beat.
-   * @param {integer} beatLength Full length of the beat in milliseconds.
+   * Move a control as if the user had changed it, so that its usual event handler runs.
+   * @param {Object} mapping
+   * @param {integer} value Value of the CC or velocity of the note, from 0 to 127.
    */
-  function sendClock(beatLength) {
-    const clockTime = Math.floor(beatLength / state.midiClockMessagesPerStep);
-    const now = window.performance.now();
-    for (var i = 0; i < state.midiClockMessagesPerStep; i++) {
-      if (i === 0) {
-        state.midiOutput?.send([MIDI_CLOCK]);
-      } else {
-        state.midiOutput?.send([MIDI_CLOCK], now + (clockTime * i));
-      } 
+  function applyMidiMapping(mapping, value) {
+    const control = MIDI_LEARN_CONTROLS[mapping.controlID];
+    const element = document.getElementById(mapping.controlID);
+    const lastValue = state.midiMappingValues[mapping.controlID] ?? 0;
+    state.midiMappingValues[mapping.controlID] = value;
+    if (element.tagName === 'BUTTON') {
+      if (value >= MIDI_LEARN_BUTTON_THRESHOLD && lastValue < MIDI_LEARN_BUTTON_THRESHOLD) {
+        element.click();
+      }
+      return;
+    }
+    if (mapping.type === 'note' && value === 0) {
+      // releasing a note should not move a knob or select back to its minimum
+      return;
+    }
+    if (element.tagName === 'SELECT') {
+      const optionIdx = Math.floor((value / 128) * element.options.length);
+      element.selectedIndex = optionIdx;
+      element.dispatchEvent(new Event('change'));
+    } else {
+      element.value = Math.round(control.min + ((value / 127) * (control.max - control.min)));
+      element.dispatchEvent(new Event('input'));
     }
   }
 
   /**
-   * Send all note and clock messages related to the beat at the given index.
-   * @param {integer} idx Index of the beat. 
-   * @param {integer} beatLength Full length of the beat in milliseconds. 
-   * Note that this is not the same as the note-on length.
+   * Show the playback settings, which a loaded pattern may have changed, in the form.
    */
-  function playBeatAtIndex(idx, beatLength) {
-    sendClock(beatLength);
-    const prevIdx = getPreviousBeatIndex(idx);
-    const prevBeatMarker = state.beatMarkers[prevIdx];
-    prevBeatMarker.classList.remove('playing');
-    state.beatMarkers[idx].classList.add('playing');
-    state.currentBeatIndex = idx;
-
-    if (state.beats[idx].active) {  
-      const duration = beatLength / 2;
-      sendNote(duration);
-      state.beatElements[idx].classList.add('playing');
-      window.setTimeout(() => {
-        state.beatElements[idx].classList.remove('playing');
-      }, duration);
-    }
-  }
-
-  // function correctLoop(idx, beatLength) {
-  //   const timeSinceLastCorrection = window.performance.now() - state.lastCorrectionTime;
-  //   const correction = timeSinceLastCorrection % beatLength;
-  //   beatLength = 
-  //     correction < beatLength / 2 
-  //     ? beatLength + correction 
-  //     : correction;
-
-  //   if (correction !== beatLength) {
-  //     stopLoop();
-  //     window.setTimeout(() => {
-  //       playBeatAtIndex(idx, correction);
-  //       startLoop(getNextBeatIndex(idx));
-  //     }, correction);
-  //   }
-  // }
-
-  function startLoop(startIdx) {
-    if (state.lastCorrectionTime === null) {
-      state.lastCorrectionTime = window.performance.now();
-    }
-    state.currentBeatIndex = startIdx;
-    var beatLength = getBeatLength();
-    state.beatIntervalID = window.setInterval(
-      () => {
-        playBeatAtIndex(state.currentBeatIndex, beatLength);
-        state.currentBeatIndex = getNextBeatIndex(state.currentBeatIndex);
-      },
-      Math.floor(getBeatLength()),
-    );
+  function updatePlaybackControls() {
+    updateBPMInput();
+    document.getElementById('swing').value = sequencer.swing;
+    document.getElementById('grooveTemplate').value = sequencer.grooveTemplate;
+    document.getElementById('gravitationalPull').value =
+      Math.round(sequencer.gravitationalPull * 100);
+    document.getElementById('polyMode').value = sequencer.polyMode;
+    updateMeterInput();
   }
 
-  function stopLoop() {
-    window.clearInterval(state.beatIntervalID);
+  function updateMeterInput() {
+    const meter = sequencer.meter;
+    document.getElementById('meter').value = meter ? `${meter.beatsPerBar}/${meter.beatUnit}` : '';
   }
 
-  function startSequencer() {
-    if (state.isPlaying) {
-      stopLoop();
+  /**
+   * @param {Object} generator See getGeneratorSettings().
+   */
+  function updateGeneratorControls(generator) {
+    state.rhythmGenerator.algorithm = generator.algorithm;
+    document.getElementById('generatorAlgorithm').value = generator.algorithm;
+    updateGeneratorParameterElements();
+    document.getElementById('pulses').value = generator.pulses;
+    document.getElementById('rotation').value = generator.rotation;
+    document.getElementById('offset').value = generator.offset;
+    state.rhythmGenerator.seed = generator.seed;
+    updateSeedInput();
+    document.getElementById('maxRests').value = generator.maxRests;
+    document.getElementById('maxRepeats').value = generator.maxRepeats;
+    enableOrDisableOffbeatSymmetryIfNeeded();
+    if (state.allowOffbeatSymmetry && !generator.allowOffbeatSymmetry) {
+      state.allowOffbeatSymmetry = false;
+      enableOffbeatSymmetryCheckboxIfNeeded();
+    }
+    checkGeneratorSettings();
+  }
+
+  /**
+   * Keep the hash of the URL in step with the sequencer, so the URL can be shared at any
+   * time. The history entry is replaced, so that editing does not fill up the back button.
+   */
+  function updateLocationHash() {
+    const hash = '#' + encodePatternHash(createPattern(sequencer, '', getGeneratorSettings()));
+    if (window.location.hash !== hash) {
+      window.history.replaceState(null, '', hash);
+    }
+  }
+
+  function updateSeedInput() {
+    document.getElementById('seed').value = state.rhythmGenerator.seed ?? '';
+  }
+
+  /**
+   * Show only the parameters of the chosen generator.
+   */
+  function updateGeneratorParameterElements() {
+    const algorithm = state.rhythmGenerator.algorithm;
+    document
+      .getElementById('symmetricalGeneratorParameters')
+      .classList.toggle('hidden', algorithm !== SYMMETRICAL_GENERATOR);
+    document
+      .getElementById('pulsesParameter')
+      .classList.toggle('hidden', algorithm === SYMMETRICAL_GENERATOR);
+    document
+      .getElementById('rotationParameter')
+      .classList.toggle('hidden', algorithm !== EUCLIDEAN_GENERATOR);
+    document
+      .getElementById('offsetParameter')
+      .classList.toggle('hidden', algorithm !== MAXIMALLY_EVEN_GENERATOR);
+  }
+
+  function updatePatternSelectorOptions(selectedName) {
+    const patternSelector = document.getElementById('patternSelector');
+    removeHTMLCollection(patternSelector.children);
+    if (state.patterns.length === 0) {
+      const option = document.createElement('option');
+      option.text = 'NONE';
+      option.value = '';
+      patternSelector.add(option);
+      return;
+    }
+    for (const pattern of state.patterns) {
+      const option = document.createElement('option');
+      option.text = pattern.name;
+      option.value = pattern.name;
+      patternSelector.add(option);
+    }
+    if (selectedName) {
+      patternSelector.value = selectedName;
+    }
+  }
+
+  /**
+   * Offer the pattern library, along with the cycles as they are now, to add to the song.
+   */
+  function updateSongEntrySourceOptions() {
+    const sourceSelector = document.getElementById('songEntrySource');
+    removeHTMLCollection(sourceSelector.children);
+    const option = document.createElement('option');
+    option.text = 'Current Cycles';
+    option.value = '';
+    sourceSelector.add(option);
+    for (const pattern of state.patterns) {
+      const option = document.createElement('option');
+      option.text = pattern.name;
+      option.value = pattern.name;
+      sourceSelector.add(option);
+    }
+  }
+
+  function updateSongEntryList() {
+    const entryList = document.getElementById('songEntryList');
+    removeHTMLCollection(entryList.children);
+    document.getElementById('songMode').checked = sequencer.song.isEnabled;
+    if (sequencer.song.entries.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'NONE';
+      entryList.append(item);
+      return;
+    }
+    sequencer.song.entries.forEach((entry, entryIdx) => {
+      const item = document.createElement('li');
+      item.textContent = `${entryIdx + 1}. ${entry.pattern.name} x${entry.repeats} `;
+      item.classList.toggle(
+        'songEntryPlaying',
+        isSongPlaying(sequencer) && entry === sequencer.song.entry,
+      );
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'REMOVE';
+      removeButton.addEventListener('click', () => {
+        handleRemoveSongEntryButtonClicked(entryIdx);
+      });
+      item.append(removeButton);
+      entryList.append(item);
+    });
+  }
+
+  function updateSampleList() {
+    const sampleList = document.getElementById('sampleList');
+    removeHTMLCollection(sampleList.children);
+    const noteNumbers = [...state.samples.keys()].sort((a, b) => a - b);
+    if (noteNumbers.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'NONE';
+      sampleList.append(item);
+      return;
+    }
+    for (const noteNumber of noteNumbers) {
+      const item = document.createElement('li');
+      item.textContent = `Note ${noteNumber}: ${state.samples.get(noteNumber).name} `;
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'REMOVE';
+      removeButton.addEventListener('click', () => {
+        handleRemoveSampleButtonClicked(noteNumber);
+      });
+      item.append(removeButton);
+      sampleList.append(item);
+    }
+  }
+
+  /**
+   * @param {Object|null} position See getSongPosition(), or null when the song is not playing.
+   */
+  function updateSongPositionElement(position) {
+    const songPosition = document.getElementById('songPosition');
+    if (!position) {
+      songPosition.textContent = '';
+      return;
+    }
+    const entryNumber = position.entryIndex === -1 ? '-' : position.entryIndex + 1;
+    songPosition.textContent = `Entry ${entryNumber} of ${position.entryCount}, ` +
+      `repeat ${position.repetition + 1} of ${position.repeats}, ` +
+      `step ${position.step + 1} of ${position.stepCount}`;
+  }
+
+  function clearBeatMarkers(cycle) {
+    for (const marker of cycle.beatMarkers) {
+      marker.classList.remove('playing');
+    }
+  }
+
+  function clearPlayingBeats(cycle) {
+    for (const beatElement of cycle.beatElements) {
+      beatElement.classList.remove('playing');
+    }
+  }
+
+  /**
+   * Show a step that was scheduled earlier, now that its time has arrived.
+   * @param {Object} step Entry from state.scheduledSteps.
+   */
+  function highlightScheduledStep(step) {
+    const cycle = step.cycle;
+    clearBeatMarkers(cycle);
+    cycle.beatMarkers[step.idx]?.classList.add('playing');
+    updatePhaseIndicator(cycle, step.phaseError);
+    const beatElement = cycle.beatElements[step.idx];
+    if (step.active && beatElement) {
+      beatElement.classList.add('playing');
+      window.setTimeout(() => {
+        beatElement.classList.remove('playing');
+      }, step.duration);
+    }
+  }
+
+  //////////////////////////// UTILS & HELPERS ////////////////////////
+
+  /**
+   * @param {Object} axis See findAxesOfSymmetry().
+   * @param {integer} idx
+   * @param {integer} beatCount
+   * @return {number} Beats around the cycle from the beat to the nearer end of the axis.
+   */
+  function getAxisDistanceFromBeat(axis, idx, beatCount) {
+    return Math.min(...[axis.position, axis.position + (beatCount / 2)].map((position) => {
+      const distance = Math.abs(position - idx) % beatCount;
+      return Math.min(distance, beatCount - distance);
+    }));
+  }
+
+  /**
+   * @param {Object} analysis See analyzeRhythm().
+   * @return {string}
+   */
+  function describeRhythmAnalysis(analysis) {
+    if (analysis.isUniform) {
+      return 'Every beat is the same.';
+    }
+    const axisCount = analysis.axes.length;
+    const order = analysis.rotationalSymmetry.order;
+    const descriptions = [
+      axisCount === 0
+        ? 'No axis of symmetry.'
+        : `${axisCount} ${axisCount === 1 ? 'axis' : 'axes'} of symmetry.`,
+    ];
+    if (order > 1) {
+      descriptions.push(`Repeats ${order} times around the cycle.`);
+    }
+    return descriptions.join(' ');
+  }
+
+  function createSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+  }
+
+  /**
+   * The settings of the rhythm generator, as shown in the configuration form. Every generator
+   * has its settings here, whichever algorithm is chosen, so they are all kept in patterns.
+   * @return {Object}
+   */
+  function getGeneratorSettings() {
+    return {
+      algorithm: state.rhythmGenerator.algorithm,
+      maxRests: parseInt(document.getElementById('maxRests').value),
+      maxRepeats: parseInt(document.getElementById('maxRepeats').value),
+      allowOffbeatSymmetry: state.allowOffbeatSymmetry,
+      // a cleared or mistyped field falls back to the default, as it does in a pattern
+      pulses: readNumber(parseInt(document.getElementById('pulses').value), 0, 256, DEFAULT_PULSES),
+      rotation: readNumber(parseInt(document.getElementById('rotation').value), -256, 256, 0),
+      offset: readNumber(parseInt(document.getElementById('offset').value), 0, 256, 0),
+      seed: state.rhythmGenerator.seed,
+    };
+  }
+
+  /**
+   * Have the browser save some content as a file.
+   * @param {string} fileName
+   * @param {BlobPart} content
+   * @param {string} mimeType
+   */
+  function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // function getRandomInt(min, max) {
+  //   min = Math.ceil(min);
+  //   max = Math.floor(max);
+  //   return Math.floor(Math.random() * (max - min + 1)) + min;
+  // }
+
+  /////////////// MIDI SET UP AND SEQUENCER PLAYBACK ////////////////
+
+  /**
+   * Request MIDI access and set up success and failure handlers.
+   * See https://www.w3.org/TR/webmidi/#requestmidiaccess
+   */
+  function setUpMidi() {
+    // the internal output plays until a MIDI port turns up, and is all there is without MIDI
+    if (!state.areOutputRoutesSaved && isInternalOutputAvailable()) {
+      selectMidiOutput(INTERNAL_OUTPUT_ID);
+    }
+    connectOutputRoutes();
+    if (!navigator.requestMIDIAccess) {
+      return;
+    }
+    navigator.requestMIDIAccess()
+      .then(handleMidiSuccess, handleMidiFailure);
+  }
+
+  function isInternalOutputAvailable() {
+    return 'AudioContext' in window;
+  }
+
+  /**
+   * The internal output is made when it is first chosen. Its audio only starts once the page
+   * has been interacted with, see startSequencer().
+   * @return {Object} See createInternalOutput().
+   */
+  function getInternalOutput() {
+    if (!state.internalOutput) {
+      state.internalOutput = createInternalOutput(
+        createSynth(new AudioContext(), state.samples),
+        sequencer.clock,
+      );
+    }
+    return state.internalOutput;
+  }
+
+  /**
+   * Animation loop that keeps the UI in step with the scheduled MIDI messages. 
+   * This never affects the timing of the messages themselves.
+   */
+  function drawPlayback() {
+    const now = window.performance.now();
+    // Swing, groove and the cycles themselves mean the steps are not queued in time order.
+    const dueSteps = state.scheduledSteps.filter(step => step.time <= now);
+    state.scheduledSteps = state.scheduledSteps.filter(step => step.time > now);
+    dueSteps.forEach(highlightScheduledStep);
+    const duePositions = state.scheduledSongPositions.filter(position => position.time <= now);
+    state.scheduledSongPositions = state.scheduledSongPositions.filter(position =>
+      position.time > now
+    );
+    if (duePositions.length) {
+      updateSongPositionElement(duePositions[duePositions.length - 1]);
+    }
+    state.playbackAnimationFrameID = window.requestAnimationFrame(drawPlayback);
+  }
+
+  function startPlaybackAnimation() {
+    stopPlaybackAnimation();
+    state.playbackAnimationFrameID = window.requestAnimationFrame(drawPlayback);
+  }
+
+  function stopPlaybackAnimation() {
+    window.cancelAnimationFrame(state.playbackAnimationFrameID);
+    state.scheduledSteps = [];
+    state.scheduledSongPositions = [];
+  }
+
+  function clearPlayback() {
+    for (const cycle of sequencer.cycles) {
+      clearBeatMarkers(cycle);
+      clearPlayingBeats(cycle);
+      updatePhaseIndicator(cycle, null);
+    }
+  }
+
+  function startSequencer() {
+    if (sequencer.clockSource === EXTERNAL_CLOCK) {
+      // transport follows the start, stop and continue messages of the MIDI input
+      return;
+    }
+    if (isInternalOutputRouted()) {
+      // starting is the first chance to start audio if nothing else was clicked first
+      state.internalOutput.open();
+    }
+    clearPlayback();
+    startPlaybackAnimation();
+    startPlayback(sequencer);
+  }
+
+  function stopSequencer() {
+    stopPlayback(sequencer);
+    stopPlaybackAnimation();
+    updateSongPositionElement(null);
+    updateSongEntryList();
+  }
+
+  /**
+   * The animation keeps running, to show the steps that were already queued before the pause.
+   */
+  function pauseSequencer() {
+    pausePlayback(sequencer);
+  }
+
+  function continueSequencer() {
+    if (sequencer.isPlaying) {
+      return;
+    }
+    if (!isPlaybackPaused(sequencer)) {
+      startSequencer();
+      return;
+    }
+    if (isInternalOutputRouted()) {
+      state.internalOutput.open();
+    }
+    continuePlayback(sequencer);
+  }
+
+  /**
+   * Start playback for an external start or continue message. Steps are then played as clock
+   * messages arrive, see advanceExternalClock().
+   * @param {boolean} isContinuing Whether to resume from where playback stopped.
+   */
+  function startFollowingExternalClock(isContinuing) {
+    if (!isContinuing) {
+      clearPlayback();
+    }
+    startPlaybackAnimation();
+    startExternalClockPlayback(sequencer, isContinuing);
+  }
+
+  /**
+   * Play through the given port in place of the first output, on the same channel.
+   * @param {string} portID The ID of a MIDI output, or INTERNAL_OUTPUT_ID.
+   */
+  function selectMidiOutput(portID) {
+    const name = getOutputPortName(portID);
+    if (name === null) {
+      return;
+    }
+    state.outputRoutes[0] = {
+      id: portID,
+      name,
+      channel: state.outputRoutes[0]?.channel ?? null,
+    };
+  }
+
+  /**
+   * Play through every output route whose port is connected. A route whose port has gone
+   * stays in place, so that it plays again as soon as the port comes back.
+   */
+  function connectOutputRoutes() {
+    const routes = [];
+    var hasPortIDChanged = false;
+    for (const route of state.outputRoutes) {
+      const port = findOutputRoutePort(route);
+      if (port) {
+        hasPortIDChanged = hasPortIDChanged || port.id !== route.id;
+        route.id = port.id;
+        port.open();
+        routes.push({ output: port, channel: route.channel });
+      }
+    }
+    if (hasPortIDChanged && state.areOutputRoutesSaved) {
+      saveOutputRoutes();
+    }
+    sequencer.midiOutput = routes.length ? createMidiRouter(routes) : null;
+    updateOutputSelectors();
+    updateOutputRouteList();
+  }
+
+  /**
+   * Select the MIDI input to listen to, or no input if the ID does not match a port.
+   * @param {string} portID
+   */
+  function selectMidiInput(portID) {
+    if (state.midiInput) {
+      state.midiInput.onmidimessage = null;
+    }
+    state.midiInputPortID = portID;
+    state.midiInput = state.midiAccess?.inputs.get(portID) ?? null;
+    if (state.midiInput) {
+      // setting the handler also opens the port
+      state.midiInput.onmidimessage = handleMidiMessage;
+    }
+  }
+
+  /////////////////////// EVENT HANDLERS ///////////////////////////
+
+  function setUpEventHandlers() {
+    document
+      .getElementById('graphicsContainer')
+      .addEventListener('pointerdown', handleCyclePointerDown);
+    document
+      .getElementById('graphicsContainer')
+      .addEventListener('pointermove', handleCyclePointerMove);
+    document
+      .getElementById('graphicsContainer')
+      .addEventListener('pointerup', handleCyclePointerUp);
+    document
+      .getElementById('configurationContainer')
+      .addEventListener('submit', (e) => {
+        e.preventDefault();
+      });
+    document
+      .getElementById('cycleSelector')
+      .addEventListener('change', handleCycleSelectorChange);
+    document
+      .getElementById('polyMode')
+      .addEventListener('change', handlePolyModeChange);
+    document
+      .getElementById('addCycleButton')
+      .addEventListener('click', handleAddCycleButtonClicked);
+    document
+      .getElementById('removeCycleButton')
+      .addEventListener('click', handleRemoveCycleButtonClicked);
+    document
+      .getElementById('beats')
+      .addEventListener('input', handleBeatsChange);
+    document
+      .getElementById('stepResolution')
+      .addEventListener('change', handleStepResolutionChange);
+    document
+      .getElementById('childCycle')
+      .addEventListener('change', handleChildCycleChange);
+    document
+      .getElementById('bpm')
+      .addEventListener('input', handleBPMChange);
+    document
+      .getElementById('meter')
+      .addEventListener('change', handleMeterChange);
+    document
+      .getElementById('swing')
+      .addEventListener('input', handleSwingChange);
+    document
+      .getElementById('grooveTemplate')
+      .addEventListener('change', handleGrooveTemplateChange);
+    document
+      .getElementById('gravitationalPull')
+      .addEventListener('input', handleGravitationalPullChange);
+    document
+      .getElementById('midiChannel')
+      .addEventListener('change', handleMIDIChannelChange);
+    document
+      .getElementById('midiOutputPort')
+      .addEventListener('change', handleMidiOutputPortChange);
+    document
+      .getElementById('midiOutputChannel')
+      .addEventListener('change', handleMidiOutputChannelChange);
+    document
+      .getElementById('addOutputRouteButton')
+      .addEventListener('click', handleAddOutputRouteButtonClicked);
+    document
+      .getElementById('midiInputPort')
+      .addEventListener('change', handleMidiInputPortChange);
+    document
+      .getElementById('clockSource')
+      .addEventListener('change', handleClockSourceChange);
+    document
+      .getElementById('recordMode')
+      .addEventListener('change', handleRecordModeChange);
+    document
+      .getElementById('quantizeRecording')
+      .addEventListener('click', handleQuantizeRecordingCheckboxChange);
+    document
+      .getElementById('fill')
+      .addEventListener('click', handleFillCheckboxChange);
+    document
+      .getElementById('noteNumber')
+      .addEventListener('input', handleNoteNumberChange);
+    document
+      .getElementById('startButton')
+      .addEventListener('click', handleStartButtonClicked);
+    document
+      .getElementById('stopButton')
+      .addEventListener('click', handleStopButtonClicked);
+    document
+      .getElementById('pauseButton')
+      .addEventListener('click', handlePauseButtonClicked);
+    document
+      .getElementById('continueButton')
+      .addEventListener('click', handleContinueButtonClicked);
+    document
+      .getElementById('sendClock')
+      .addEventListener('click', handleSendClockCheckboxChange);
+    document
+      .getElementById('clockMessagesPerStep')
+      .addEventListener('change', handleClockMessagesPerStepChange);
+    document
+      .getElementById('sendTransport')
+      .addEventListener('click', handleSendTransportCheckboxChange);
+    document
+      .getElementById('generatorAlgorithm')
+      .addEventListener('change', handleGeneratorAlgorithmChange);
+    document
+      .getElementById('maxRests')
+      .addEventListener('change', handleMaxRestsChange);
+    document
+      .getElementById('maxRepeats')
+      .addEventListener('change', handleMaxRepeatsChange);
+    document
+      .getElementById('offbeatSymmetry')
+      .addEventListener('click', handleOffbeatSymmetryCheckboxChange);
+    document
+      .getElementById('generateButton')
+      .addEventListener('click', handleGenerateButtonClicked);
+    document
+      .getElementById('clearButton')
+      .addEventListener('click', handleClearButtonClicked);
+    document
+      .getElementById('mutateButton')
+      .addEventListener('click', handleMutateButtonClicked);
+    document
+      .getElementById('seed')
+      .addEventListener('input', handleSeedChange);
+    document
+      .getElementById('seed')
+      .addEventListener('change', handleSeedCommitted);
+    document
+      .getElementById('previousSeedButton')
+      .addEventListener('click', handlePreviousSeedButtonClicked);
+    document
+      .getElementById('nextSeedButton')
+      .addEventListener('click', handleNextSeedButtonClicked);
+    document
+      .getElementById('rotateLeftButton')
+      .addEventListener('click', handleRotateLeftButtonClicked);
+    document
+      .getElementById('rotateRightButton')
+      .addEventListener('click', handleRotateRightButtonClicked);
+    document
+      .getElementById('flipButton')
+      .addEventListener('click', handleFlipButtonClicked);
+    document
+      .getElementById('undoButton')
+      .addEventListener('click', handleUndoButtonClicked);
+    document
+      .getElementById('redoButton')
+      .addEventListener('click', handleRedoButtonClicked);
+    document
+      .getElementById('snapDownbeatButton')
+      .addEventListener('click', handleSnapDownbeatButtonClicked);
+    document
+      .getElementById('midiLearnButton')
+      .addEventListener('click', handleMidiLearnButtonClicked);
+    // capture, so that learning a control does not also use it
+    document
+      .getElementById('configurationContainer')
+      .addEventListener('pointerdown', handleMidiLearnPointerDown, true);
+    document
+      .getElementById('configurationContainer')
+      .addEventListener('click', handleMidiLearnClick, true);
+    document
+      .getElementById('songMode')
+      .addEventListener('click', handleSongModeCheckboxChange);
+    document
+      .getElementById('addSongEntryButton')
+      .addEventListener('click', handleAddSongEntryButtonClicked);
+    document
+      .getElementById('savePatternButton')
+      .addEventListener('click', handleSavePatternButtonClicked);
+    document
+      .getElementById('loadPatternButton')
+      .addEventListener('click', handleLoadPatternButtonClicked);
+    document
+      .getElementById('deletePatternButton')
+      .addEventListener('click', handleDeletePatternButtonClicked);
+    document
+      .getElementById('exportPatternsButton')
+      .addEventListener('click', handleExportPatternsButtonClicked);
+    document
+      .getElementById('importPatternsButton')
+      .addEventListener('click', handleImportPatternsButtonClicked);
+    document
+      .getElementById('patternFileInput')
+      .addEventListener('change', handlePatternFileInputChange);
+    document
+      .getElementById('exportMidiFileButton')
+      .addEventListener('click', handleExportMidiFileButtonClicked);
+    document
+      .getElementById('exportAudioFileButton')
+      .addEventListener('click', handleExportAudioFileButtonClicked);
+    document
+      .getElementById('loadSampleButton')
+      .addEventListener('click', handleLoadSampleButtonClicked);
+    document
+      .getElementById('sampleFileInput')
+      .addEventListener('change', handleSampleFileInputChange);
+    document
+      .getElementById('stepVelocity')
+      .addEventListener('input', handleStepVelocityChange);
+    document
+      .getElementById('stepNoteNumber')
+      .addEventListener('input', handleStepNoteNumberChange);
+    document
+      .getElementById('stepGate')
+      .addEventListener('input', handleStepGateChange);
+    document
+      .getElementById('stepProbability')
+      .addEventListener('input', handleStepProbabilityChange);
+    document
+      .getElementById('stepCondition')
+      .addEventListener('change', handleStepConditionChange);
+    document
+      .getElementById('stepResetButton')
+      .addEventListener('click', handleStepResetButtonClicked);
+    document
+      .getElementById('stepCloseButton')
+      .addEventListener('click', handleStepCloseButtonClicked);
+    document
+      .addEventListener('keydown', handleKeyDown);
+    // these come after every other handler, so the hash includes whatever they changed
+    for (const eventType of ['input', 'change', 'click', 'keydown', 'pointerup']) {
+      document.addEventListener(eventType, handleStateEdited);
+    }
+    window.addEventListener('hashchange', handleHashChange);
+  }
+
+  function selectCycle(cycleIdx) {
+    state.selectedCycleIndex = cycleIdx;
+    state.selectedBeatIndex = null;
+    state.stepEntryIndex = getSelectedCycle().firstBeatIndex;
+    updateSelectedCycleElement();
+    updateCycleControls();
+    updateStepInspector();
+    updateStepEntryElement();
+    updateAnalysisElements();
+    enableOrDisableOffbeatSymmetryIfNeeded();
+  }
+
+  function handleCycleSelectorChange(e) {
+    selectCycle(parseInt(e.target.value));
+  }
+
+  function handlePolyModeChange(e) {
+    sequencer.polyMode = e.target.value === POLYRHYTHM ? POLYRHYTHM : POLYMETER;
+    layoutBarLines();
+  }
+
+  function handleAddCycleButtonClicked(e) {
+    const snapshot = createCyclesSnapshot(sequencer);
+    const cycle = addCycle(sequencer, getSelectedCycle());
+    if (!cycle) {
+      return;
+    }
+    recordEdit(null, snapshot);
+    layoutCycles();
+    if (sequencer.isPlaying) {
+      startCycle(sequencer, cycle);
+    }
+    selectCycle(sequencer.cycles.length - 1);
+  }
+
+  function handleRemoveCycleButtonClicked(e) {
+    const snapshot = createCyclesSnapshot(sequencer);
+    if (removeCycle(sequencer, state.selectedCycleIndex)) {
+      recordEdit(null, snapshot);
+      layoutCycles();
+      selectCycle(Math.min(state.selectedCycleIndex, sequencer.cycles.length - 1));
+    }
+  }
+
+  function handleChildCycleChange(e) {
+    const childCycleIndex = e.target.value === '' ? null : parseInt(e.target.value);
+    const snapshot = createCyclesSnapshot(sequencer);
+    if (updateCycleChild(sequencer, getSelectedCycle(), childCycleIndex)) {
+      recordEdit(null, snapshot);
+    }
+    updateCycleControls();
+    updateSelectedCycleElement();
+  }
+
+  function handleBeatsChange(event) {
+    const cycle = getSelectedCycle();
+    const snapshot = createCyclesSnapshot(sequencer);
+    if (updateBeatCount(cycle, parseInt(event.target.value))) {
+      recordEdit(`beats:${state.selectedCycleIndex}`, snapshot);
+      layoutBeats(cycle);
+      enableOrDisableOffbeatSymmetryIfNeeded();
+      checkGeneratorSettings();
+    }
+  }
+
+  function handleStepResolutionChange(e) {
+    if (!Object.hasOwn(STEP_RESOLUTIONS, e.target.value)) {
+      return;
+    }
+    recordEdit();
+    getSelectedCycle().stepResolution = e.target.value;
+    layoutBarLines();
+  }
+
+  /**
+   * A plain click toggles the beat. A shift-click or alt-click opens the beat in the step
+   * inspector instead. Either way, the cycle of the beat becomes the selected cycle.
+   */
+  function handleBeatClick(e, cycle, beatElement, idx) {
+    const cycleIdx = sequencer.cycles.indexOf(cycle);
+    if (cycleIdx !== state.selectedCycleIndex) {
+      selectCycle(cycleIdx);
+    }
+    if (e.shiftKey || e.altKey) {
+      state.selectedBeatIndex = state.selectedBeatIndex === idx ? null : idx;
+      updateStepInspector();
+      return;
+    }
+    recordEdit();
+    if (isBeatActive(cycle, idx)) {
+      deactivateBeat(cycle, idx);
+      beatElement.classList.remove('beatActive');
     } else {
-      state.isPlaying = true;
-      state.midiOutput?.send([MIDI_START]);
+      activateBeat(cycle, idx);
+      beatElement.classList.add('beatActive');
+    }
+    updateCycleAnalysis(cycle);
+  }
+
+  function handleStepVelocityChange(e) {
+    const velocity = parseInt(e.target.value);
+    if (velocity >= 1 && velocity <= MIDI_MAX_VELOCITY) {
+      recordEdit(getStepEditKey('velocity'));
+      updateBeatParameters(getSelectedCycle(), state.selectedBeatIndex, { velocity });
+    }
+  }
+
+  function handleStepNoteNumberChange(e) {
+    if (e.target.value === '') {
+      recordEdit(getStepEditKey('noteNumber'));
+      updateBeatParameters(getSelectedCycle(), state.selectedBeatIndex, { noteNumber: null });
+      return;
+    }
+    const noteNumber = parseInt(e.target.value);
+    if (noteNumber >= 0 && noteNumber <= 127) {
+      recordEdit(getStepEditKey('noteNumber'));
+      updateBeatParameters(getSelectedCycle(), state.selectedBeatIndex, { noteNumber });
+    }
+  }
+
+  function handleStepGateChange(e) {
+    if (e.target.value === '') {
+      recordEdit(getStepEditKey('gate'));
+      updateBeatParameters(getSelectedCycle(), state.selectedBeatIndex, { gate: null });
+      return;
+    }
+    const gatePercentage = parseInt(e.target.value);
+    if (gatePercentage >= 1 && gatePercentage <= 100) {
+      recordEdit(getStepEditKey('gate'));
+      updateBeatParameters(
+        getSelectedCycle(),
+        state.selectedBeatIndex,
+        { gate: gatePercentage / 100 },
+      );
+    }
+  }
+
+  function handleStepProbabilityChange(e) {
+    const probabilityPercentage = parseInt(e.target.value);
+    if (probabilityPercentage >= 0 && probabilityPercentage <= 100) {
+      recordEdit(getStepEditKey('probability'));
+      updateBeatParameters(
+        getSelectedCycle(),
+        state.selectedBeatIndex,
+        { probability: probabilityPercentage / 100 },
+      );
+    }
+  }
+
+  function handleStepConditionChange(e) {
+    const cycle = getSelectedCycle();
+    const idx = state.selectedBeatIndex;
+    recordEdit(getStepEditKey('condition'));
+    updateBeatParameters(cycle, idx, { condition: e.target.value || null });
+    updateBeatConditionElement(cycle.beatElements[idx], cycle.beats[idx]);
+  }
+
+  /**
+   * @param {string} parameter
+   * @return {string} Key for editing the parameter of the step in the step inspector.
+   */
+  function getStepEditKey(parameter) {
+    return `step:${state.selectedCycleIndex}:${state.selectedBeatIndex}:${parameter}`;
+  }
+
+  function handleStepResetButtonClicked(e) {
+    recordEdit();
+    const cycle = getSelectedCycle();
+    resetBeatParameters(cycle, state.selectedBeatIndex);
+    updateBeatConditionElement(
+      cycle.beatElements[state.selectedBeatIndex],
+      cycle.beats[state.selectedBeatIndex],
+    );
+    updateStepInspector();
+  }
+
+  function handleRotateLeftButtonClicked(e) {
+    rotateCycleByBeat(getSelectedCycle(), -1);
+  }
+
+  function handleRotateRightButtonClicked(e) {
+    rotateCycleByBeat(getSelectedCycle(), 1);
+  }
+
+  function handleFlipButtonClicked(e) {
+    flipCycle(getSelectedCycle());
+  }
+
+  function handleUndoButtonClicked(e) {
+    undoEdit();
+  }
+
+  function handleRedoButtonClicked(e) {
+    redoEdit();
+  }
+
+  function handleSnapDownbeatButtonClicked(e) {
+    const firstBeatIndex = parseInt(document.getElementById('downbeatCandidates').value);
+    if (Number.isNaN(firstBeatIndex)) {
+      return;
+    }
+    const cycle = getSelectedCycle();
+    recordEdit();
+    rotateCycleToFirstBeatIndex(cycle, firstBeatIndex);
+    clearBeatMarkers(cycle);
+    rotateCycleElement(cycle, cycle.rotationDegrees);
+    rotateFirstBeatIndicatorContainer(cycle, cycle.rotationDegrees);
+    layoutLinesOfSymmetry(cycle);
+  }
+
+  function handleMidiLearnButtonClicked(e) {
+    state.isMidiLearning = !state.isMidiLearning;
+    state.midiLearnControlID = null;
+    updateMidiLearnElements();
+  }
+
+  function getMidiLearnControlID(e) {
+    return state.isMidiLearning && MIDI_LEARN_CONTROLS[e.target.id]
+      ? e.target.id
+      : null;
+  }
+
+  function handleMidiLearnPointerDown(e) {
+    const controlID = getMidiLearnControlID(e);
+    if (controlID) {
+      // keeps a select from opening and a text input from taking focus
+      e.preventDefault();
+      state.midiLearnControlID = controlID;
+      updateMidiLearnElements();
+    }
+  }
+
+  function handleMidiLearnClick(e) {
+    if (getMidiLearnControlID(e)) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  function handleRemoveMidiMappingButtonClicked(controlID) {
+    removeMidiMapping(controlID);
+    saveMidiMappings();
+    updateMidiMappingList();
+  }
+
+  /**
+   * Turning the song on while playing starts it from the top. Turning it off leaves the
+   * cycles of the entry playing to loop.
+   */
+  function handleSongModeCheckboxChange(e) {
+    sequencer.song.isEnabled = e.target.checked;
+    saveSong();
+    if (sequencer.song.isEnabled && sequencer.isPlaying) {
+      startSequencer();
+    }
+    if (!isSongPlaying(sequencer)) {
+      updateSongPositionElement(null);
+    }
+    updateSongEntryList();
+  }
+
+  function handleAddSongEntryButtonClicked(e) {
+    const repeats = parseInt(document.getElementById('songEntryRepeats').value);
+    if (!(repeats >= 1 && repeats <= MAX_SONG_ENTRY_REPEATS)) {
+      alert(`Please choose from 1 to ${MAX_SONG_ENTRY_REPEATS} repeats.`);
+      return;
+    }
+    const name = document.getElementById('songEntrySource').value;
+    const pattern = name
+      ? findPattern(name)
+      : createPattern(sequencer, 'Current Cycles', getGeneratorSettings());
+    if (!pattern) {
+      return;
+    }
+    addSongEntry(sequencer, pattern, repeats);
+    saveSong();
+    updateSongEntryList();
+  }
+
+  function handleRemoveSongEntryButtonClicked(entryIdx) {
+    removeSongEntry(sequencer, entryIdx);
+    saveSong();
+    updateSongEntryList();
+  }
+
+  /**
+   * Set up in createSequencer(). The song has just replaced the cycles with the pattern of
+   * the next entry, ahead of the time it is heard, so the new cycles can be laid out before
+   * any of their steps are shown.
+   * @param {integer} entryIdx
+   */
+  function handleSongEntryStarted(entryIdx) {
+    layoutCycles();
+    selectCycle(Math.min(state.selectedCycleIndex, sequencer.cycles.length - 1));
+    updatePlaybackControls();
+    updateGeneratorControls(sequencer.song.entries[entryIdx].pattern.generator);
+    updateSongEntryList();
+    updateLocationHash();
+  }
+
+  function handleSavePatternButtonClicked(e) {
+    const name = document.getElementById('patternName').value.trim();
+    if (!name) {
+      alert('Please name the pattern before saving it.');
+      return;
+    }
+    addPattern(createPattern(sequencer, name, getGeneratorSettings()));
+    savePatternLibrary();
+    updatePatternSelectorOptions(name);
+    updateSongEntrySourceOptions();
+  }
+
+  function handleLoadPatternButtonClicked(e) {
+    const pattern = findPattern(document.getElementById('patternSelector').value);
+    if (!pattern) {
+      return;
+    }
+    loadPattern(pattern);
+  }
+
+  /**
+   * Replace the cycles with the ones in the pattern. Playback carries on with the new cycles.
+   * @param {Pattern} pattern
+   */
+  function loadPattern(pattern) {
+    recordEdit();
+    applyPatternToSequencer(pattern);
+    layoutCycles();
+    selectCycle(0);
+    updatePlaybackControls();
+    updateGeneratorControls(pattern.generator);
+    document.getElementById('patternName').value = pattern.name;
+    if (sequencer.isPlaying) {
+      for (const cycle of sequencer.cycles) {
+        startCycle(sequencer, cycle);
+      }
+    }
+  }
+
+  function handleDeletePatternButtonClicked(e) {
+    removePattern(document.getElementById('patternSelector').value);
+    savePatternLibrary();
+    updatePatternSelectorOptions();
+    updateSongEntrySourceOptions();
+  }
+
+  function handleExportPatternsButtonClicked(e) {
+    downloadFile(
+      'cyclochron-patterns.json',
+      JSON.stringify(createPatternFile(state.patterns), null, 2),
+      'application/json',
+    );
+  }
+
+  function handleImportPatternsButtonClicked(e) {
+    document.getElementById('patternFileInput').click();
+  }
+
+  /**
+   * Add the patterns in a JSON file to the library. A file may hold a whole exported library,
+   * or a single pattern.
+   */
+  function handlePatternFileInputChange(e) {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    file.text()
+      .then((text) => {
+        const data = JSON.parse(text);
+        const patterns = (Array.isArray(data.patterns) ? data.patterns : [data]).map(readPattern);
+        if (patterns.length === 0 || patterns.includes(null)) {
+          throw new Error('The file does not contain valid Cyclochron patterns.');
+        }
+        patterns.forEach(addPattern);
+        savePatternLibrary();
+        updatePatternSelectorOptions(patterns[0].name);
+        updateSongEntrySourceOptions();
+      })
+      .catch((error) => {
+        alert('Failed to import patterns.\n' + error.message);
+      })
+      .finally(() => {
+        // allows the same file to be imported again
+        e.target.value = '';
+      });
+  }
+
+  function handleExportMidiFileButtonClicked(e) {
+    const repetitions = parseInt(document.getElementById('midiFileRepetitions').value);
+    if (!(repetitions >= 1 && repetitions <= 999)) {
+      alert('Please choose from 1 to 999 repetitions.');
+      return;
+    }
+    const format = parseInt(document.getElementById('midiFileFormat').value);
+    downloadFile(
+      'cyclochron.mid',
+      createMidiFile(
+        sequencer,
+        format === MIDI_FILE_SINGLE_TRACK ? MIDI_FILE_SINGLE_TRACK : MIDI_FILE_MULTIPLE_TRACKS,
+        repetitions,
+      ),
+      'audio/midi',
+    );
+  }
+
+  /**
+   * Render the cycles offline and download them as a WAV file. The file lasts for the
+   * repetitions of the loop of the cycles, as with a MIDI file.
+   */
+  function handleExportAudioFileButtonClicked(e) {
+    const repetitions = parseInt(document.getElementById('audioFileRepetitions').value);
+    if (!(repetitions >= 1 && repetitions <= MAX_AUDIO_FILE_REPETITIONS)) {
+      alert(`Please choose from 1 to ${MAX_AUDIO_FILE_REPETITIONS} repetitions.`);
+      return;
+    }
+    renderAudio(sequencer, repetitions, state.samples)
+      .then((audioBuffer) => {
+        downloadFile('cyclochron.wav', createWavFile(audioBuffer), 'audio/wav');
+      })
+      .catch((error) => {
+        alert('Failed to render audio.\n' + error.message);
+      });
+  }
+
+  function handleLoadSampleButtonClicked(e) {
+    const noteNumber = parseInt(document.getElementById('sampleNoteNumber').value);
+    if (!(noteNumber >= 0 && noteNumber <= 127)) {
+      alert('Please choose a sample note from 0 to 127.');
+      return;
     }
-    clearBeatMarkers();
-    playBeatAtIndex(state.firstBeatIndex, getBeatLength());
-    startLoop(
-      state.firstBeatIndex + 1 === state.beats.length
-        ? 0
-        : state.firstBeatIndex + 1,
-    );
+    document.getElementById('sampleFileInput').click();
   }
 
-  function stopSequencer() {
-    state.isPlaying = false;
-    stopLoop();
-    state.midiOutput?.send([MIDI_STOP]);
+  /**
+   * Play the audio file for the sample note, in place of the internal voice for that note.
+   */
+  function handleSampleFileInputChange(e) {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    const noteNumber = parseInt(document.getElementById('sampleNoteNumber').value);
+    file.arrayBuffer()
+      .then(data => createSample(file.name, data))
+      .then((sample) => {
+        state.samples.set(noteNumber, sample);
+        updateSampleList();
+      })
+      .catch((error) => {
+        alert('Failed to load the sample.\n' + error.message);
+      })
+      .finally(() => {
+        // allows the same file to be loaded again
+        e.target.value = '';
+      });
   }
 
-  /////////////////////// EVENT HANDLERS ///////////////////////////
+  function handleRemoveSampleButtonClicked(noteNumber) {
+    state.samples.delete(noteNumber);
+    updateSampleList();
+  }
 
-  function setUpEventHandlers() {
-    document
-      .getElementById('graphicsContainer')
-      .addEventListener('pointerdown', handleCyclePointerDown);
-    document
-      .getElementById('graphicsContainer')
-      .addEventListener('pointermove', handleCyclePointerMove);
-    document
-      .getElementById('graphicsContainer')
-      .addEventListener('pointerup', handleCyclePointerUp);
-    document
-      .getElementById('configurationContainer')
-      .addEventListener('submit', (e) => {
-        e.preventDefault();
-      });
-    document
-      .getElementById('beats')
-      .addEventListener('input', handleBeatsChange);
-    document
-      .getElementById('bpm')
-      .addEventListener('input', handleBPMChange);
-    document
-      .getElementById('midiChannel')
-      .addEventListener('change', handleMIDIChannelChange);
-    document
-      .getElementById('noteNumber')
-      .addEventListener('input', handleNoteNumberChange);
-    document
-      .getElementById('startButton')
-      .addEventListener('click', handleStartButtonClicked);
-    document
-      .getElementById('stopButton')
-      .addEventListener('click', handleStopButtonClicked);
-    document
-      .getElementById('maxRests')
-      .addEventListener('change', handleMaxRestsChange);
-    document
-      .getElementById('maxRepeats')
-      .addEventListener('change', handleMaxRepeatsChange);
-    document
-      .getElementById('offbeatSymmetry')
-      .addEventListener('click', handleOffbeatSymmetryCheckboxChange);
-    document
-      .getElementById('generateButton')
-      .addEventListener('click', handleGenerateButtonClicked);
-    document
-      .getElementById('clearButton')
-      .addEventListener('click', handleClearButtonClicked);
-    document
-      .addEventListener('keydown', handleKeyDown);
+  function handleStateEdited(e) {
+    updateLocationHash();
   }
 
-  function handleBeatsChange(event) {
-    if (updateBeatCount(parseInt(event.target.value))) {
-      layoutBeats();
-      enableOrDisableOffbeatSymmetryIfNeeded();
-      adjustMaxRepeatsIfNeeded();
+  /**
+   * Load the pattern in a URL hash that was pasted in or edited by hand.
+   */
+  function handleHashChange(e) {
+    const pattern = decodePatternHash(window.location.hash);
+    if (pattern) {
+      loadPattern(pattern);
     }
+    updateLocationHash();
   }
 
-  function handleBeatClick(beatElement, idx) {
-    if (isBeatActive(idx)) {
-      deactivateBeat(idx);
-      beatElement.setAttribute('class', 'beat');
-    } else {
-      activateBeat(idx);
-      beatElement.setAttribute('class', 'beat beatActive');
-    }
+  function handleStepCloseButtonClicked(e) {
+    state.selectedBeatIndex = null;
+    updateStepInspector();
+  }
+
+  function handleGeneratorAlgorithmChange(e) {
+    state.rhythmGenerator.algorithm = [EUCLIDEAN_GENERATOR, MAXIMALLY_EVEN_GENERATOR]
+      .includes(e.target.value)
+      ? e.target.value
+      : SYMMETRICAL_GENERATOR;
+    updateGeneratorParameterElements();
+    checkGeneratorSettings();
   }
 
   function handleMaxRestsChange(e) {
     enableOrDisableOffbeatSymmetryIfNeeded();
-    adjustMaxRepeatsIfNeeded()
+    checkGeneratorSettings();
   }
 
   function handleMaxRepeatsChange(e) {
     enableOrDisableOffbeatSymmetryIfNeeded();
-    adjustMaxRestsIfNeeded();
+    checkGeneratorSettings();
+  }
+
+  /**
+   * Warn about generator settings that cannot make a rhythm as soon as they are chosen.
+   */
+  function checkGeneratorSettings() {
+    updateGeneratorMessage(
+      explainGeneratorSettings(getSelectedCycle().beats.length, getGeneratorSettings()),
+    );
   }
 
   function handleOffbeatSymmetryCheckboxChange(e) {
@@ -900,27 +2428,184 @@
   }
 
   function handleGenerateButtonClicked(e) {
-    clearBeats();
+    generateRhythm(createSeed());
+  }
+
+  /**
+   * Each digit typed makes a rhythm, and these are undone together. Only the seed that is
+   * finally entered goes in the strip of generated rhythms. See handleSeedCommitted().
+   */
+  function handleSeedChange(e) {
+    const seed = parseInt(e.target.value);
+    if (seed >= 0 && seed <= 4294967295) {
+      generateRhythm(seed, 'seed');
+    }
+  }
+
+  function handleSeedCommitted(e) {
+    if (parseInt(e.target.value) === state.rhythmGenerator.seed) {
+      addGeneratedRhythm(getSelectedCycle(), getGeneratorSettings());
+      updateGeneratedRhythmList();
+    }
+  }
+
+  function handlePreviousSeedButtonClicked(e) {
+    generateRhythm(Math.max((state.rhythmGenerator.seed ?? 1) - 1, 0));
+  }
+
+  function handleNextSeedButtonClicked(e) {
+    generateRhythm((state.rhythmGenerator.seed ?? -1) + 1);
+  }
+
+  /**
+   * Replace the beats of the selected cycle with a rhythm from the chosen generator, and show
+   * the seed so that the rhythm can be made again.
+   * @param {integer} seed
+   * @param {string|null} editKey See recordEdit(). A rhythm made as part of a keyed edit is not
+   * added to the strip of generated rhythms.
+   */
+  function generateRhythm(seed, editKey = null) {
     const beatCount = parseInt(document.getElementById('beats').value);
-    addBeats(beatCount);
-    const maxRests = parseInt(document.getElementById('maxRests').value);
-    const maxRepeats = parseInt(document.getElementById('maxRepeats').value);
-    updateBeats(maxRests, maxRepeats);
-    layoutBeats();
+    const explanation = explainGeneratorSettings(beatCount, getGeneratorSettings());
+    updateGeneratorMessage(explanation);
+    if (explanation) {
+      return;
+    }
+    state.rhythmGenerator.seed = seed;
+    updateSeedInput();
+    const cycle = getSelectedCycle();
+    recordEdit(editKey);
+    clearBeats(cycle);
+    addBeats(cycle, beatCount);
+    updateBeats(cycle, getGeneratorSettings());
+    layoutBeats(cycle);
+    if (editKey === null) {
+      addGeneratedRhythm(cycle, getGeneratorSettings());
+      updateGeneratedRhythmList();
+    }
+  }
+
+  /**
+   * Bring back a recently generated rhythm in the selected cycle, along with the settings of
+   * the generator that made it.
+   * @param {integer} rhythmIdx
+   */
+  function handleGeneratedRhythmClicked(rhythmIdx) {
+    const rhythm = state.generatedRhythms[rhythmIdx];
+    const cycle = getSelectedCycle();
+    recordEdit();
+    const isSameBeatCount = rhythm.beats.length === cycle.beats.length;
+    clearBeats(cycle);
+    cycle.beats = rhythm.beats.map(beat => ({ ...beat }));
+    cycle.isLineOfSymmetryBetweenBeats = rhythm.isLineOfSymmetryBetweenBeats;
+    if (isSameBeatCount) {
+      layoutBeats(cycle);
+    } else {
+      updateCycleFirstBeatIndex(cycle, 0);
+      layoutCycles();
+      updateCycleControls();
+    }
+    updateGeneratorControls(rhythm.generator);
+  }
+
+  function handleMutateButtonClicked(e) {
+    const cycle = getSelectedCycle();
+    const beats = getMutatedBeats(cycle);
+    if (beats) {
+      recordEdit();
+      cycle.beats = beats;
+      layoutBeats(cycle);
+    }
+  }
+
+  /**
+   * In evolve mode, mutate the selected cycle after every few passes through its beats. This
+   * is called while steps are being scheduled, so the mutation is worked out afterwards, and
+   * is heard from the pass after next. Only swapping in the new beats is left for here.
+   * @param {Cycle} cycle
+   */
+  function handleCyclePassScheduled(cycle) {
+    const evolution = state.pendingEvolution;
+    if (evolution?.cycle === cycle) {
+      state.pendingEvolution = null;
+      // the beats may have been edited since the mutation was worked out
+      if (JSON.stringify(cycle.beats) === evolution.sourceBeats) {
+        recordEdit(`evolve:${sequencer.cycles.indexOf(cycle)}`);
+        cycle.beats = evolution.beats;
+        window.setTimeout(() => layoutBeats(cycle));
+      }
+    }
+    const evolveEvery = parseInt(document.getElementById('evolveEvery').value) || 0;
+    if (
+      evolveEvery > 0
+      && cycle === getSelectedCycle()
+      && cycle.passCount % evolveEvery === 0
+    ) {
+      window.setTimeout(() => prepareEvolution(cycle));
+    }
+  }
+
+  /**
+   * @param {Cycle} cycle
+   */
+  function prepareEvolution(cycle) {
+    if (!sequencer.isPlaying || !sequencer.cycles.includes(cycle)) {
+      return;
+    }
+    const beats = getMutatedBeats(cycle);
+    state.pendingEvolution = beats
+      ? { cycle, beats, sourceBeats: JSON.stringify(cycle.beats) }
+      : null;
+  }
+
+  /**
+   * Flip a few beats of the cycle, keeping to the max rests and max repeats of the generator,
+   * and to the first axis of symmetry when Keep Symmetry is checked. When no mutation keeps to
+   * these, the generator message says why.
+   * @param {Cycle} cycle
+   * @return {Array<Beat>|null} The mutated beats, or null if there are none.
+   */
+  function getMutatedBeats(cycle) {
+    const { maxRests, maxRepeats } = getGeneratorSettings();
+    var mirrorIndex = null;
+    if (document.getElementById('keepSymmetry').checked) {
+      const axis = findAxesOfSymmetry(cycle.beats)[0];
+      if (!axis) {
+        updateGeneratorMessage({
+          message: 'The cycle has no axis of symmetry to keep.',
+          suggestions: [],
+        });
+        return null;
+      }
+      mirrorIndex = axis.mirrorIndex;
+    }
+    const flipCount = parseInt(document.getElementById('mutationFlips').value) || 1;
+    const beats = mutateRhythm(cycle.beats, flipCount, maxRests, maxRepeats, mirrorIndex);
+    if (!beats) {
+      updateGeneratorMessage({
+        message: `No flips of ${flipCount} beats keep to the Max Rests and Max Repeats.`,
+        suggestions: [],
+      });
+      return null;
+    }
+    updateGeneratorMessage(null);
+    return beats;
   }
 
   function handleClearButtonClicked(e) {
-    if (state.isPlaying) {
+    if (sequencer.isPlaying || isPlaybackPaused(sequencer)) {
       stopSequencer();
     }
-    clearBeats();
+    const cycle = getSelectedCycle();
+    recordEdit();
+    clearBeats(cycle);
     const beatCount = parseInt(document.getElementById('beats').value);
-    addBeats(beatCount);
-    layoutBeats();
+    addBeats(cycle, beatCount);
+    layoutBeats(cycle);
   }
 
   function enableOrDisableOffbeatSymmetryIfNeeded() {
-    const beatCount = state.beats.length;
+    const beatCount = getSelectedCycle().beats.length;
     const maxRests = parseInt(document.getElementById('maxRests').value);
     const maxRepeats = parseInt(document.getElementById('maxRepeats').value);
     if (shouldAllowOffbeatSymmetry(beatCount, maxRests, maxRepeats)) {
@@ -932,27 +2617,38 @@
     }
   }
 
+  /**
+   * Whether the pointer event happened on one of the cycle rings, rather than the space
+   * around them.
+   * @param {PointerEvent} e
+   * @return {boolean}
+   */
+  function isPointerEventOnCycle(e) {
+    const path = e.composedPath();
+    return sequencer.cycles.some(cycle => path.includes(cycle.cycleElement));
+  }
+
   function handleCyclePointerDown(e) {
-    var path = e.composedPath();
-    if (path.includes(state.cycleElement)) {
+    if (isPointerEventOnCycle(e)) {
       return;
     }
     const radians = Math.atan2(e.y - state.centerY, e.x - state.centerX);
     state.degrees = radians * (180 / Math.PI);
     state.pointerDown = true;
+    state.rotationStartSnapshot = createCyclesSnapshot(sequencer);
   }
- 
+
   function handleCyclePointerMove(e) {
     if (state.pointerDown && state.animationFrameAvailable) {
-      var path = e.composedPath();
-      if (path.includes(state.cycleElement)) {
+      if (isPointerEventOnCycle(e)) {
         return;
       }
       state.animationFrameAvailable = false;
       window.requestAnimationFrame((time) => {
-        updateCycleRotationStateWithPointerData(e.x, e.y);
-        rotateCycleElement(state.rotationDegrees);
-        rotateFirstBeatIndicatorContainer(state.rotationDegrees);
+        const cycle = getSelectedCycle();
+        updateCycleRotationStateWithPointerData(cycle, e.x, e.y);
+        rotateCycleElement(cycle, cycle.rotationDegrees);
+        rotateFirstBeatIndicatorContainer(cycle, cycle.rotationDegrees);
 
         state.animationFrameAvailable = true;
       })
@@ -963,22 +2659,129 @@
     if (!state.pointerDown) {
       return;
     }
-    state.rotationDegrees = state.snapDegrees;
-    rotateCycleElement(state.snapDegrees);
-    rotateFirstBeatIndicatorContainer(state.snapDegrees);
+    const cycle = getSelectedCycle();
+    cycle.rotationDegrees = cycle.snapDegrees;
+    rotateCycleElement(cycle, cycle.snapDegrees);
+    rotateFirstBeatIndicatorContainer(cycle, cycle.snapDegrees);
     state.pointerDown = false;
+    const savedCycle = state.rotationStartSnapshot[state.selectedCycleIndex];
+    if (cycle.firstBeatIndex !== savedCycle.firstBeatIndex) {
+      recordEdit(null, state.rotationStartSnapshot);
+    }
+    state.rotationStartSnapshot = null;
   }
 
   function handleBPMChange(e) {
-    state.bpm = parseInt(e.target.value);
+    updateBPM(sequencer, parseInt(e.target.value));
+  }
+
+  /**
+   * A meter is typed as beats per bar and beat unit, such as 7/8. Leaving it blank turns the
+   * meter off, and anything else puts back the meter as it was.
+   */
+  function handleMeterChange(e) {
+    const text = e.target.value.trim();
+    const [beatsPerBar, beatUnit] = text.split('/').map(Number);
+    const meter = readMeter({ beatsPerBar, beatUnit });
+    if (meter || text === '') {
+      sequencer.meter = meter;
+      layoutBarLines();
+    }
+    updateMeterInput();
+  }
+
+  function handleSwingChange(e) {
+    const swing = parseInt(e.target.value);
+    if (swing >= MIN_SWING && swing <= MAX_SWING) {
+      sequencer.swing = swing;
+    }
+  }
+
+  function handleGrooveTemplateChange(e) {
+    if (Object.hasOwn(GROOVE_TEMPLATES, e.target.value)) {
+      sequencer.grooveTemplate = e.target.value;
+    }
+  }
+
+  function handleGravitationalPullChange(e) {
+    const pullPercentage = parseInt(e.target.value);
+    if (pullPercentage >= 0 && pullPercentage <= 100) {
+      sequencer.gravitationalPull = pullPercentage / 100;
+    }
   }
 
   function handleMIDIChannelChange(e) {
-    state.midiChannel = parseInt(e.target.value);
+    recordEdit(`midiChannel:${state.selectedCycleIndex}`);
+    getSelectedCycle().midiChannel = parseInt(e.target.value);
   }
 
   function handleNoteNumberChange(e) {
-    state.noteNumber = parseInt(e.target.value);
+    recordEdit(`noteNumber:${state.selectedCycleIndex}`);
+    getSelectedCycle().noteNumber = parseInt(e.target.value);
+    updateStepInspector();
+  }
+
+  function handleMidiOutputPortChange(e) {
+    selectMidiOutput(e.target.value);
+    saveOutputRoutes();
+    connectOutputRoutes();
+  }
+
+  function handleMidiOutputChannelChange(e) {
+    if (!state.outputRoutes[0]) {
+      return;
+    }
+    state.outputRoutes[0].channel = e.target.value === '' ? null : parseInt(e.target.value);
+    saveOutputRoutes();
+    connectOutputRoutes();
+  }
+
+  /**
+   * With no output at all, the added output becomes the first output.
+   */
+  function handleAddOutputRouteButtonClicked(e) {
+    const portID = document.getElementById('routeOutputPort').value;
+    const channelValue = document.getElementById('routeOutputChannel').value;
+    if (!addOutputRoute(portID, channelValue === '' ? null : parseInt(channelValue))) {
+      return;
+    }
+    saveOutputRoutes();
+    connectOutputRoutes();
+  }
+
+  function handleRemoveOutputRouteButtonClicked(routeIdx) {
+    removeOutputRoute(routeIdx);
+    saveOutputRoutes();
+    connectOutputRoutes();
+  }
+
+  function handleMidiInputPortChange(e) {
+    selectMidiInput(e.target.value);
+  }
+
+  function handleClockSourceChange(e) {
+    if (sequencer.isPlaying || isPlaybackPaused(sequencer)) {
+      stopSequencer();
+    }
+    sequencer.clockSource = e.target.value === EXTERNAL_CLOCK ? EXTERNAL_CLOCK : INTERNAL_CLOCK;
+    sequencer.externalClockTickTimes = [];
+    updateClockSourceControls();
+  }
+
+  function handleRecordModeChange(e) {
+    state.recordMode = [LIVE_RECORDING, STEP_RECORDING].includes(e.target.value)
+      ? e.target.value
+      : RECORD_OFF;
+    state.stepEntryIndex = getSelectedCycle().firstBeatIndex;
+    updateStepEntryElement();
+  }
+
+  function handleQuantizeRecordingCheckboxChange(e) {
+    state.quantizeRecording = e.target.checked;
+  }
+
+  function handleFillCheckboxChange(e) {
+    sequencer.isFillActive = e.target.checked;
   }
 
   function handleStartButtonClicked(e) {
@@ -989,6 +2792,35 @@
     stopSequencer();
   }
 
+  function handlePauseButtonClicked(e) {
+    pauseSequencer();
+  }
+
+  function handleContinueButtonClicked(e) {
+    continueSequencer();
+  }
+
+  function handleSendClockCheckboxChange(e) {
+    sequencer.isSendingClock = e.target.checked;
+    saveOutputSettings();
+  }
+
+  function handleClockMessagesPerStepChange(e) {
+    sequencer.midiClockMessagesPerStep = readNumber(
+      parseInt(e.target.value),
+      1,
+      MAX_MIDI_CLOCK_MESSAGES_PER_STEP,
+      sequencer.midiClockMessagesPerStep,
+    );
+    e.target.value = sequencer.midiClockMessagesPerStep;
+    saveOutputSettings();
+  }
+
+  function handleSendTransportCheckboxChange(e) {
+    sequencer.isSendingTransport = e.target.checked;
+    saveOutputSettings();
+  }
+
   /**
    * Set up in setUpMidi().
    * @param {MIDIAccess} access 
@@ -996,11 +2828,13 @@
    */
   function handleMidiSuccess(access, __options) {
     state.midiAccess = access;
-    updatePortSelectorOptions(access.outputs);
-    if (access.outputs.size) {
-      state.midiPortID = access.outputs.values().next().value.id;
-      state.midiOutput = access.outputs.get(state.midiPortID);
-      state.midiOutput.open();
+    if (!state.areOutputRoutesSaved && access.outputs.size) {
+      selectMidiOutput(access.outputs.values().next().value.id);
+    }
+    connectOutputRoutes();
+    updatePortSelectorOptions('midiInputPort', access.inputs);
+    if (access.inputs.size) {
+      selectMidiInput(access.inputs.values().next().value.id);
     }
     // Delay setting this up so the initial port opening will not fire this event.
     setTimeout(() => {
@@ -1023,33 +2857,153 @@
   }
 
   /**
+   * A port was plugged in, unplugged, opened or closed. The outputs are connected again, so
+   * that a port that has come back plays again, and the MIDI input listens again if it is
+   * the port that came back.
    * Set up in handleMidiSuccess().
    * @param {MIDIConnectionEvent} e 
    */
   function handleMidiStateChange(e) {
-    // const port = e.port;
-    // // Print information about the (dis)connected MIDI controller
-    // alert(
-    //   port.name + '\n' + 
-    //   port.manufacturer + '\n' + 
-    //   'MIDIPortDeviceState: ' + port.state + '\n' +
-    //   'MIDIPortConnectionState: ' + port.connection
-    // );
     const access = state.midiAccess;
-    updatePortSelectorOptions(access);
-    if (access.outputs.values().size) {
-      state.midiPortID = access.outputs.values().next().value.id;
-      state.midiOutput = access.outputs.get(state.midiPortID);
-      state.midiOutput.open();
+    connectOutputRoutes();
+    updatePortSelectorOptions('midiInputPort', access.inputs);
+    document.getElementById('midiInputPort').value = state.midiInputPortID;
+    if (e.port.type === 'input' && e.port.id === state.midiInputPortID) {
+      selectMidiInput(state.midiInputPortID);
+    }
+  }
+
+  /**
+   * Set up in selectMidiInput().
+   * @param {MIDIMessageEvent} e
+   */
+  function handleMidiMessage(e) {
+    if (sequencer.clockSource === EXTERNAL_CLOCK) {
+      handleExternalClockMessage(e);
+    }
+    if (handleMidiMappingMessage(e)) {
+      return;
+    }
+    // a note-on message with a velocity of zero is a note-off
+    if ((e.data[0] & 0xF0) === MIDI_NOTE_ON && e.data[2] > 0) {
+      handleMidiNoteOn(e.data[1], e.data[2], e.timeStamp);
+    }
+  }
+
+  /**
+   * Learn or apply a mapping for a CC or note message.
+   * @param {MIDIMessageEvent} e
+   * @return {boolean} Whether the message was used by a mapping, and should go no further.
+   */
+  function handleMidiMappingMessage(e) {
+    const message = getMidiMappingMessage(e.data);
+    if (!message) {
+      return false;
+    }
+    if (state.isMidiLearning && state.midiLearnControlID) {
+      addMidiMapping(state.midiLearnControlID, message);
+      saveMidiMappings();
+      state.midiLearnControlID = null;
+      updateMidiLearnElements();
+      updateMidiMappingList();
+      return true;
+    }
+    const mapping = findMidiMapping(message);
+    if (!mapping) {
+      return false;
+    }
+    applyMidiMapping(mapping, message.value);
+    updateLocationHash();
+    return true;
+  }
+
+  /**
+   * Record a note from the MIDI input into the selected cycle, if recording is on.
+   * @param {integer} noteNumber
+   * @param {integer} velocity
+   * @param {number} time
+   */
+  function handleMidiNoteOn(noteNumber, velocity, time) {
+    const cycle = getSelectedCycle();
+    var idx = null;
+    if (state.recordMode === STEP_RECORDING) {
+      idx = state.stepEntryIndex < cycle.beats.length ? state.stepEntryIndex : 0;
+      state.stepEntryIndex = getNextBeatIndex(cycle, idx);
+    } else if (state.recordMode === LIVE_RECORDING && sequencer.isPlaying) {
+      idx = getBeatIndexAtTime(cycle, time, state.quantizeRecording);
+    }
+    if (idx === null) {
+      return;
+    }
+    recordEdit(`record:${state.selectedCycleIndex}`);
+    recordBeat(cycle, idx, noteNumber, velocity);
+    cycle.beatElements[idx]?.classList.add('beatActive');
+    updateCycleAnalysis(cycle);
+    updateStepInspector();
+    updateStepEntryElement();
+    updateLocationHash();
+  }
+
+  /**
+   * Clock messages drive the steps, and set the tempo, while start, stop and continue messages
+   * drive the transport.
+   * @param {MIDIMessageEvent} e
+   */
+  function handleExternalClockMessage(e) {
+    switch (e.data[0]) {
+      case MIDI_CLOCK:
+        advanceExternalClock(sequencer, e.timeStamp);
+        updateBPMInput();
+        break;
+      case MIDI_START:
+        startFollowingExternalClock(false);
+        break;
+      case MIDI_CONTINUE:
+        startFollowingExternalClock(true);
+        break;
+      case MIDI_STOP:
+        stopSequencer();
+        break;
+    }
+  }
+
+  /**
+   * Rotate the cycle by one beat, clockwise for a positive direction.
+   * @param {Cycle} cycle
+   * @param {integer} direction Either 1 or -1.
+   */
+  function rotateCycleByBeat(cycle, direction) {
+    recordEdit();
+    const degreeDelta = (360 / cycle.beats.length) * direction;
+    updateCycleRotationStateWithStepDegreeDelta(cycle, degreeDelta);
+    clearBeatMarkers(cycle);
+    rotateCycleElement(cycle, cycle.rotationDegrees);
+    rotateFirstBeatIndicatorContainer(cycle, cycle.rotationDegrees);
+  }
+
+  function flipCycle(cycle) {
+    if (cycle.beats.length % 2) {
+      // flipping an odd meter rhythm does not make sense because we don't know where to put
+      // the first beat.
+      return;
     }
+    recordEdit();
+    updateCycleRotationStateForFlippedCycle(cycle);
+    clearBeatMarkers(cycle);
+    rotateCycleElement(cycle, cycle.rotationDegrees);
+    rotateFirstBeatIndicatorContainer(cycle, cycle.rotationDegrees);
   }
 
   function handleKeyDown(e) {
-    var degreeDelta = 0;
+    if (e.target.tagName === 'INPUT' && e.target.type === 'text') {
+      // typing a pattern name or a number should not also play the sequencer
+      return;
+    }
+    const cycle = getSelectedCycle();
     switch (e.keyCode) {
       case SPACE_BAR_KEY_CODE:
         e.preventDefault();
-        if (state.isPlaying) {
+        if (sequencer.isPlaying) {
           stopSequencer();
         } else {
           startSequencer();
@@ -1058,53 +3012,113 @@
       case ARROW_DOWN_KEY_CODE:
       case ARROW_UP_KEY_CODE:
         e.preventDefault();
-        if (state.beats.length % 2) {
-          // flipping an odd meter rhythm does not make sense because we don't know where to put
-          // the first beat.
-          break;
-        }
-        updateCycleRotationStateForFlippedCycle();
-        clearBeatMarkers();
-        rotateCycleElement(state.rotationDegrees);
-        rotateFirstBeatIndicatorContainer(state.rotationDegrees);
+        flipCycle(cycle);
         break;
       case ARROW_RIGHT_KEY_CODE:
         e.preventDefault();
-        degreeDelta = 360 / state.beats.length;
-        updateCycleRotationStateWithStepDegreeDelta(degreeDelta);
-        clearBeatMarkers();
-        rotateCycleElement(state.rotationDegrees);
-        rotateFirstBeatIndicatorContainer(state.rotationDegrees);
+        rotateCycleByBeat(cycle, 1);
         break;
       case ARROW_LEFT_KEY_CODE:
         e.preventDefault();
-        degreeDelta = (360 / state.beats.length) * -1;
-        updateCycleRotationStateWithStepDegreeDelta(degreeDelta);
-        clearBeatMarkers();
-        rotateCycleElement(state.rotationDegrees);
-        rotateFirstBeatIndicatorContainer(state.rotationDegrees);
+        rotateCycleByBeat(cycle, -1);
         break;
       case LETTER_G_KEY_CODE:
         handleGenerateButtonClicked();
         break;
+      case LETTER_M_KEY_CODE:
+        handleMutateButtonClicked();
+        break;
       case LETTER_I_KEY_CODE:
-        state.beats = state.beats.map(beat => {
-          return { active: !beat.active };
+        recordEdit();
+        cycle.beats = cycle.beats.map(beat => {
+          return { ...beat, active: !beat.active };
         });
-        layoutBeats();
+        layoutBeats(cycle);
+        break;
+      case LETTER_Z_KEY_CODE:
+        if (e.ctrlKey || e.metaKey) {
+          e.preventDefault();
+          if (e.shiftKey) {
+            redoEdit();
+          } else {
+            undoEdit();
+          }
+        }
         break;
     }
   }
 
+  function undoEdit() {
+    const entry = state.undoHistory.pop();
+    if (entry) {
+      state.redoHistory.push(createHistoryEntry(createCyclesSnapshot(sequencer)));
+      restoreHistoryEntry(entry);
+    }
+  }
+
+  function redoEdit() {
+    const entry = state.redoHistory.pop();
+    if (entry) {
+      state.undoHistory.push(createHistoryEntry(createCyclesSnapshot(sequencer)));
+      restoreHistoryEntry(entry);
+    }
+  }
+
+  /**
+   * Put the cycles back as they were before an edit or an undo. Playback carries on, and any
+   * cycles that come back start from their first beat.
+   * @param {Object} entry See createHistoryEntry().
+   */
+  function restoreHistoryEntry(entry) {
+    state.lastEditKey = null;
+    const addedCycles = restoreCyclesSnapshot(sequencer, entry.cycles);
+    if (sequencer.isPlaying) {
+      for (const cycle of addedCycles) {
+        startCycle(sequencer, cycle);
+      }
+    }
+    layoutCycles();
+    selectCycle(Math.min(entry.selectedCycleIndex, sequencer.cycles.length - 1));
+    checkGeneratorSettings();
+    updateUndoButtons();
+  }
+
   /////////////////////////// INIT FUNCTION ////////////////////////////
 
   cyclochron.init = function () {
     // state
-    addBeats(parseInt(document.getElementById('beats').value));
-    updateCenterCoordinates();
-    
+    sequencer.cycles.push(createCycle(
+      parseInt(document.getElementById('beats').value),
+      parseInt(document.getElementById('noteNumber').value),
+      parseInt(document.getElementById('midiChannel').value),
+    ));
+
+    loadMidiMappings();
+    loadPatternLibrary();
+    loadSong();
+    loadOutputSettings();
+    loadOutputRoutes();
+    const sharedPattern = decodePatternHash(window.location.hash);
+    if (sharedPattern) {
+      applyPatternToSequencer(sharedPattern);
+    }
+
     // presentation
-    layoutBeats();
+    layoutCycles();
+    updateCycleControls();
+    updateCenterCoordinates();
+    updateMidiMappingList();
+    updatePatternSelectorOptions();
+    updateSongEntrySourceOptions();
+    updateSongEntryList();
+    updateSampleList();
+    updateOutputSettingsControls();
+    updateStepConditionOptions();
+    if (sharedPattern) {
+      updatePlaybackControls();
+      updateGeneratorControls(sharedPattern.generator);
+    }
+    updateLocationHash();
 
     // behavior
     setUpMidi();
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBeat } from '../cyclochron-core.js';
+import {
+  analyzeRhythm,
+  findAxesOfSymmetry,
+  findRotationalSymmetry,
+  getMetricWeight,
+  rankDownbeatRotations,
+} from '../cyclochron-analysis.js';
+
+const fromText = text => [...text].map(step => createBeat(step === 'x'));
+
+const TRESILLO = 'x..x..x.';
+const FOUR_ON_SIXTEEN = 'x...x...x...x...';
+const ASYMMETRICAL = 'xx.x....';
+
+test('finds the axes of symmetry', () => {
+  // the tresillo mirrors itself around the second note
+  assert.deepEqual(findAxesOfSymmetry(fromText(TRESILLO)), [{ mirrorIndex: 6, position: 3 }]);
+  assert.deepEqual(
+    findAxesOfSymmetry(fromText(FOUR_ON_SIXTEEN)).map(axis => axis.position),
+    [0, 2, 4, 6],
+  );
+  assert.deepEqual(findAxesOfSymmetry(fromText(ASYMMETRICAL)), []);
+  // an axis between beats has a half position, here between both pairs of matching beats
+  assert.deepEqual(findAxesOfSymmetry(fromText('xx..')), [{ mirrorIndex: 1, position: 0.5 }]);
+});
+
+test('finds the rotational symmetry', () => {
+  assert.deepEqual(findRotationalSymmetry(fromText(TRESILLO)), { period: 8, order: 1 });
+  assert.deepEqual(findRotationalSymmetry(fromText(FOUR_ON_SIXTEEN)), { period: 4, order: 4 });
+  assert.deepEqual(findRotationalSymmetry(fromText(ASYMMETRICAL)), { period: 8, order: 1 });
+});
+
+test('weighs each position by the levels of the meter that have a beat there', () => {
+  assert.deepEqual(
+    Array.from({ length: 16 }, (_beat, idx) => getMetricWeight(idx, 16)),
+    [5, 1, 2, 1, 3, 1, 2, 1, 4, 1, 2, 1, 3, 1, 2, 1],
+  );
+  // every beat of a prime number of beats is weighed the same, but the first
+  assert.deepEqual(
+    Array.from({ length: 7 }, (_beat, idx) => getMetricWeight(idx, 7)),
+    [2, 1, 1, 1, 1, 1, 1],
+  );
+});
+
+test('ranks the rotations that make a good downbeat', () => {
+  const ranked = rankDownbeatRotations(fromText(TRESILLO));
+  assert.deepEqual(ranked.map(candidate => candidate.firstBeatIndex), [0, 6, 3]);
+  assert.ok(Math.abs(ranked[0].score - 0.75) < 1e-9);
+  assert.equal(ranked[0].lengthFit, 1);
+
+  // a rotation giving the same rhythm is only listed once
+  const evenRanked = rankDownbeatRotations(fromText(FOUR_ON_SIXTEEN));
+  assert.deepEqual(evenRanked, [{ firstBeatIndex: 0, score: 1, metricFit: 1, lengthFit: 1 }]);
+
+  assert.deepEqual(rankDownbeatRotations(fromText('....')), []);
+});
+
+test('analyzes a rhythm all at once', () => {
+  const analysis = analyzeRhythm(fromText(ASYMMETRICAL));
+  assert.deepEqual(analysis.axes, []);
+  assert.equal(analysis.rotationalSymmetry.order, 1);
+  assert.equal(analysis.isUniform, false);
+  assert.equal(analysis.downbeats.length, 3);
+  assert.equal(analyzeRhythm(fromText('xxxx')).isUniform, true);
+});
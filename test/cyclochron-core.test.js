@@ -0,0 +1,300 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MIDI_NOTE_ON,
+  MIDI_NOTE_OFF,
+  MIDI_CLOCK,
+  MIDI_START,
+  MIDI_STOP,
+  SCHEDULER_INTERVAL,
+  EXTERNAL_CLOCK,
+  createSequencer,
+  createCycle,
+  activateBeat,
+  updateBeatParameters,
+  startPlayback,
+  stopPlayback,
+  continuePlayback,
+  updateBPM,
+  startExternalClockPlayback,
+  advanceExternalClock,
+  updateCycleChild,
+  addSongEntry,
+  createPattern,
+  createNoteEvents,
+} from '../cyclochron-core.js';
+
+/**
+ * A clock whose time only moves when the test advances it, running the scheduler at each
+ * interval along the way.
+ */
+function createFakeClock(time) {
+  const clock = {
+    time,
+    callback: null,
+    now: () => clock.time,
+    setInterval: (callback) => {
+      clock.callback = callback;
+      return 1;
+    },
+    clearInterval: () => {
+      clock.callback = null;
+    },
+    advance: (milliseconds) => {
+      const endTime = clock.time + milliseconds;
+      while (clock.time + SCHEDULER_INTERVAL <= endTime) {
+        clock.time += SCHEDULER_INTERVAL;
+        clock.callback?.();
+      }
+      clock.time = endTime;
+    },
+  };
+  return clock;
+}
+
+function createFakeMidiOutput() {
+  const messages = [];
+  return {
+    messages,
+    send: (data, time) => messages.push({ data: [...data], time }),
+  };
+}
+
+function createPlayingSequencer(beatCount, activeBeats) {
+  const clock = createFakeClock(1000);
+  const midiOutput = createFakeMidiOutput();
+  const sequencer = createSequencer({ clock, midiOutput });
+  const cycle = createCycle(beatCount, 60, 1);
+  activeBeats.forEach(idx => activateBeat(cycle, idx));
+  sequencer.cycles.push(cycle);
+  return { clock, midiOutput, sequencer, cycle };
+}
+
+const getTimes = (messages, status) => messages
+  .filter(message => message.data[0] === status)
+  .map(message => message.time);
+
+test('schedules the notes of a cycle a sixteenth note apart at 120 BPM', () => {
+  const { clock, midiOutput, sequencer } = createPlayingSequencer(4, [0, 2]);
+  startPlayback(sequencer);
+  clock.advance(1000);
+  stopPlayback(sequencer);
+
+  const notes = midiOutput.messages.filter(message => message.time <= 2000);
+  assert.deepEqual(getTimes(notes, MIDI_NOTE_ON), [1000, 1250, 1500, 1750, 2000]);
+  // the beat duration percentage of 0.5 holds each note for half a step
+  assert.deepEqual(getTimes(notes, MIDI_NOTE_OFF), [1062.5, 1312.5, 1562.5, 1812.5]);
+  assert.deepEqual(
+    notes.filter(message => message.data[0] === MIDI_NOTE_ON)[0].data,
+    [MIDI_NOTE_ON, 60, 127],
+  );
+});
+
+test('sends start, then six clock messages in each step', () => {
+  const { clock, midiOutput, sequencer } = createPlayingSequencer(4, [0]);
+  startPlayback(sequencer);
+  clock.advance(250);
+  stopPlayback(sequencer);
+
+  assert.deepEqual(midiOutput.messages[0].data, [MIDI_START]);
+  const clockTimes = getTimes(midiOutput.messages, MIDI_CLOCK).filter(time => time < 1250);
+  assert.equal(clockTimes.length, 12);
+  clockTimes.forEach((time, idx) => {
+    assert.ok(Math.abs(time - (1000 + (idx * 125 / 6))) < 1e-9);
+  });
+});
+
+test('schedules no further than the lookahead past the current time', () => {
+  const { clock, midiOutput, sequencer } = createPlayingSequencer(4, [0, 1, 2, 3]);
+  startPlayback(sequencer);
+  clock.advance(500);
+  const lastNoteOn = Math.max(...getTimes(midiOutput.messages, MIDI_NOTE_ON));
+  assert.equal(lastNoteOn, 1500);
+  clock.advance(1000);
+  stopPlayback(sequencer);
+  assert.equal(clock.callback, null);
+  const noteCount = getTimes(midiOutput.messages, MIDI_NOTE_ON).length;
+  clock.advance(1000);
+  assert.equal(getTimes(midiOutput.messages, MIDI_NOTE_ON).length, noteCount);
+});
+
+test('carries on as before when continuing while playing', () => {
+  const { clock, midiOutput, sequencer, cycle } = createPlayingSequencer(4, [0, 1, 2, 3]);
+  startPlayback(sequencer);
+  clock.advance(300);
+  const messageCount = midiOutput.messages.length;
+  const currentBeatIndex = cycle.currentBeatIndex;
+  continuePlayback(sequencer);
+  assert.equal(midiOutput.messages.length, messageCount);
+  assert.equal(cycle.currentBeatIndex, currentBeatIndex);
+  clock.advance(500);
+  stopPlayback(sequencer);
+  assert.deepEqual(
+    getTimes(midiOutput.messages, MIDI_NOTE_ON),
+    [1000, 1125, 1250, 1375, 1500, 1625, 1750, 1875],
+  );
+});
+
+test('pulls the downbeats of a cycle onto the downbeats it shares with the first cycle', () => {
+  const { clock, sequencer } = createPlayingSequencer(16, [0]);
+  sequencer.cycles.push(createCycle(7, 62, 1));
+  const downbeatTimes = [];
+  sequencer.onStepScheduled = ({ cycle, idx, time }) => {
+    if (cycle === sequencer.cycles[1] && idx === cycle.firstBeatIndex) {
+      downbeatTimes.push(time);
+    }
+  };
+  startPlayback(sequencer);
+  // without any pull, 16 steps leave the cycle of 7 steps two steps past its downbeat
+  clock.advance(2000);
+  sequencer.gravitationalPull = 1;
+  clock.advance(30000);
+  stopPlayback(sequencer);
+
+  // two passes of 7 steps are pulled to fill the 16 steps of the first cycle
+  const lastDownbeatTimes = downbeatTimes.slice(-8);
+  assert.ok(lastDownbeatTimes.at(-1) > 30000);
+  lastDownbeatTimes.forEach((time) => {
+    const stepsFromSharedDownbeat = ((time - 1000) % 1000) / 125;
+    assert.ok(Math.min(stepsFromSharedDownbeat, 8 - stepsFromSharedDownbeat) < 0.01, `${time}`);
+  });
+});
+
+test('clears the queued messages on stop, and ends the notes that were queued', () => {
+  const { clock, midiOutput, sequencer } = createPlayingSequencer(4, [0, 1, 2, 3]);
+  var clearCount = 0;
+  midiOutput.clear = () => {
+    clearCount++;
+    midiOutput.messages.length = 0;
+  };
+  startPlayback(sequencer);
+  clock.advance(300);
+  stopPlayback(sequencer);
+
+  assert.equal(clearCount, 1);
+  // the note at 1250 is still playing, and the note at 1375 is waiting to play
+  assert.deepEqual(midiOutput.messages.map(message => message.data[0]), [
+    MIDI_NOTE_OFF,
+    MIDI_NOTE_OFF,
+    MIDI_STOP,
+  ]);
+  assert.ok(midiOutput.messages.every(message => message.time === undefined));
+});
+
+test('keeps playing at the same tempo when given a BPM out of range', () => {
+  const { clock, midiOutput, sequencer } = createPlayingSequencer(4, [0, 1, 2, 3]);
+  startPlayback(sequencer);
+  clock.advance(200);
+  assert.equal(updateBPM(sequencer, NaN), false);
+  assert.equal(updateBPM(sequencer, 1), false);
+  assert.equal(sequencer.bpm, 120);
+  clock.advance(300);
+  assert.equal(updateBPM(sequencer, 240), true);
+  clock.advance(300);
+  stopPlayback(sequencer);
+  assert.deepEqual(
+    getTimes(midiOutput.messages, MIDI_NOTE_ON),
+    [1000, 1125, 1250, 1375, 1500, 1625, 1687.5, 1750, 1812.5, 1875],
+  );
+});
+
+test('counts the passes of a cycle for its trigger conditions while playing', () => {
+  const { clock, midiOutput, sequencer, cycle } = createPlayingSequencer(4, [0, 2]);
+  updateBeatParameters(cycle, 0, { condition: '2:3' });
+  startPlayback(sequencer);
+  clock.advance(3000);
+  stopPlayback(sequencer);
+  // a pass of four steps lasts 500ms, and the first beat plays on the second of every three
+  assert.deepEqual(
+    getTimes(midiOutput.messages, MIDI_NOTE_ON).filter(time => time < 4000),
+    [1250, 1500, 1750, 2250, 2750, 3000, 3250, 3750],
+  );
+  // the lookahead has already scheduled the step at 4000, which starts the seventh pass
+  assert.equal(cycle.passCount, 6);
+});
+
+const getNoteOns = (messages, noteNumber) => messages
+  .filter(message => message.data[0] === MIDI_NOTE_ON && message.data[1] === noteNumber)
+  .map(message => message.time);
+
+function createTestPattern(beatCount, noteNumber) {
+  const { sequencer } = createPlayingSequencer(beatCount, [0]);
+  sequencer.cycles[0].noteNumber = noteNumber;
+  return createPattern(sequencer, `Note ${noteNumber}`, {});
+}
+
+test('plays each entry of the song for its repeats, then goes back to the first', () => {
+  const { clock, midiOutput, sequencer } = createPlayingSequencer(4, [0]);
+  const startedEntries = [];
+  sequencer.onSongEntryStarted = entryIdx => startedEntries.push(entryIdx);
+  addSongEntry(sequencer, createTestPattern(4, 36), 2);
+  addSongEntry(sequencer, createTestPattern(2, 38), 3);
+  sequencer.song.isEnabled = true;
+  startPlayback(sequencer);
+  clock.advance(2000);
+  stopPlayback(sequencer);
+
+  // two passes of four steps, then three passes of two steps
+  const beforeTime = time => time < 3000;
+  assert.deepEqual(getNoteOns(midiOutput.messages, 36).filter(beforeTime), [1000, 1500, 2750]);
+  assert.deepEqual(getNoteOns(midiOutput.messages, 38).filter(beforeTime), [2000, 2250, 2500]);
+  assert.deepEqual(startedEntries.slice(0, 3), [0, 1, 0]);
+});
+
+test('plays a pass of the child cycle from each active step of its parent', () => {
+  const { clock, midiOutput, sequencer, cycle } = createPlayingSequencer(4, [0]);
+  const childCycle = createCycle(3, 62, 1);
+  [0, 1, 2].forEach(idx => activateBeat(childCycle, idx));
+  sequencer.cycles.push(childCycle);
+  assert.equal(updateCycleChild(sequencer, cycle, 1), true);
+  startPlayback(sequencer);
+  clock.advance(1000);
+  stopPlayback(sequencer);
+
+  const beforeTime = time => time < 2000;
+  // the parent triggers the child rather than playing its own notes
+  assert.deepEqual(getNoteOns(midiOutput.messages, 60), []);
+  assert.deepEqual(
+    getNoteOns(midiOutput.messages, 62).filter(beforeTime),
+    [1000, 1125, 1250, 1500, 1625, 1750],
+  );
+});
+
+test('exports the passes of a child cycle from the ticks of its parent\'s steps', () => {
+  const { sequencer, cycle } = createPlayingSequencer(4, [0, 3]);
+  const childCycle = createCycle(2, 62, 1);
+  [0, 1].forEach(idx => activateBeat(childCycle, idx));
+  sequencer.cycles.push(childCycle);
+  updateCycleChild(sequencer, cycle, 1);
+
+  const { length, noteEvents } = createNoteEvents(sequencer, 2);
+  assert.equal(length, 960);
+  assert.deepEqual(noteEvents.get(cycle), []);
+  // each pass is cut off by the next pass from the parent, or by the end of the file
+  assert.deepEqual(
+    noteEvents.get(childCycle)
+      .filter(event => event.data[0] === MIDI_NOTE_ON)
+      .map(event => event.tick)
+      .sort((a, b) => a - b),
+    [0, 120, 360, 480, 600, 840],
+  );
+});
+
+test('follows the tempo and steps of an external clock', () => {
+  const { midiOutput, sequencer, cycle } = createPlayingSequencer(4, [0, 1, 2, 3]);
+  sequencer.clockSource = EXTERNAL_CLOCK;
+  startExternalClockPlayback(sequencer, false);
+  // 24 ticks to a quarter note of 600ms is 100 BPM, with a sixteenth note every six ticks
+  for (var tick = 0; tick < 48; tick++) {
+    advanceExternalClock(sequencer, 1000 + (tick * 25));
+  }
+  assert.ok(Math.abs(sequencer.bpm - 100) < 1e-9);
+  assert.deepEqual(
+    getTimes(midiOutput.messages, MIDI_NOTE_ON),
+    [1000, 1150, 1300, 1450, 1600, 1750, 1900, 2050],
+  );
+  assert.equal(cycle.currentBeatIndex, 0);
+  // clock messages come from the external clock, so none are sent
+  assert.deepEqual(getTimes(midiOutput.messages, MIDI_CLOCK), []);
+});
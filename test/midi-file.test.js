@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MIDI_NOTE_ON,
+  MIDI_META_EVENT,
+  MIDI_META_TEMPO,
+  MIDI_FILE_MULTIPLE_TRACKS,
+  MAX_MIDI_FILE_LOOP_TICKS,
+  MAX_MIDI_FILE_TEMPO,
+  POLYMETER,
+  POLYRHYTHM,
+  createSequencer,
+  createCycle,
+  activateBeat,
+  createMidiFile,
+  createNoteEvents,
+  getMidiFileLoopLength,
+  sortNoteEvents,
+} from '../cyclochron-core.js';
+
+function createTestSequencer(...beatCounts) {
+  const sequencer = createSequencer();
+  for (const beatCount of beatCounts) {
+    const cycle = createCycle(beatCount, 36, 10);
+    activateBeat(cycle, 0);
+    sequencer.cycles.push(cycle);
+  }
+  return sequencer;
+}
+
+test('repeats the loop of every cycle, until the cycles start together again', () => {
+  const sequencer = createTestSequencer(4, 6);
+  // 4 and 6 sixteenth notes start together again after 12
+  assert.equal(getMidiFileLoopLength(sequencer), 12 * 120);
+  assert.equal(createNoteEvents(sequencer, 3).length, 3 * 12 * 120);
+
+  // in a polyrhythm, every cycle lasts as long as the first
+  sequencer.polyMode = POLYRHYTHM;
+  assert.equal(getMidiFileLoopLength(sequencer), 4 * 120);
+
+  // the longest cycle, when the cycles take too long to start together again
+  sequencer.polyMode = POLYMETER;
+  sequencer.cycles.push(createCycle(251, 42, 10), createCycle(241, 46, 10));
+  assert.ok(251 * 241 * 120 > MAX_MIDI_FILE_LOOP_TICKS);
+  assert.equal(getMidiFileLoopLength(sequencer), 251 * 120);
+});
+
+test('leaves out a note that swing delays past the end of its pass', () => {
+  const sequencer = createTestSequencer(4, 4);
+  const [parentCycle, childCycle] = sequencer.cycles;
+  activateBeat(parentCycle, 1);
+  parentCycle.childCycleIndex = 1;
+  childCycle.stepResolution = 'sixteenthTriplet';
+  [1, 2, 3].forEach(idx => activateBeat(childCycle, idx));
+  sequencer.swing = 75;
+  sequencer.grooveTemplate = 'laidBack';
+
+  const { length, noteEvents } = createNoteEvents(sequencer, 1);
+  const events = sortNoteEvents(noteEvents.get(childCycle));
+  // the pass at tick 0 is cut off at tick 120 by the next, before its delayed second note
+  assert.deepEqual(
+    events.filter(event => event.data[0] === MIDI_NOTE_ON + 9).map(event => event.tick),
+    [0, 166, 203, 330, 360],
+  );
+  // no note ends before it starts, and none is left playing past the end of the file
+  var playingCount = 0;
+  for (const event of events) {
+    playingCount += event.data[0] === MIDI_NOTE_ON + 9 ? 1 : -1;
+    assert.ok(playingCount >= 0 && event.tick <= length);
+  }
+  assert.equal(playingCount, 0);
+});
+
+test('writes the slowest tempo a MIDI file can hold for tempos slower than that', () => {
+  const sequencer = createTestSequencer(4);
+  sequencer.bpm = 2;
+  const file = createMidiFile(sequencer, MIDI_FILE_MULTIPLE_TRACKS, 1);
+  // the tempo event starts the first track, after the header and track chunk headers
+  assert.deepEqual(
+    [...file.slice(22, 29)],
+    [0, MIDI_META_EVENT, MIDI_META_TEMPO, 3, 0xFF, 0xFF, 0xFF],
+  );
+  assert.equal(MAX_MIDI_FILE_TEMPO, 0xFFFFFF);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MIDI_NOTE_ON,
+  MIDI_CLOCK,
+  MIDI_CONTROL_CHANGE,
+  createMidiRouter,
+  getRoutedMidiMessage,
+} from '../cyclochron-core.js';
+
+function createFakeMidiOutput() {
+  const messages = [];
+  return {
+    messages,
+    state: 'connected',
+    send: (data, time) => messages.push({ data: [...data], time }),
+  };
+}
+
+test('moves channel messages onto the channel of the route', () => {
+  assert.deepEqual(getRoutedMidiMessage([MIDI_NOTE_ON, 60, 100], 10), [MIDI_NOTE_ON + 9, 60, 100]);
+  assert.deepEqual(
+    getRoutedMidiMessage([MIDI_CONTROL_CHANGE + 3, 7, 64], 1),
+    [MIDI_CONTROL_CHANGE, 7, 64],
+  );
+  // without a channel, and for system messages, the message is left as it is
+  assert.deepEqual(
+    getRoutedMidiMessage([MIDI_NOTE_ON + 2, 60, 100], null),
+    [MIDI_NOTE_ON + 2, 60, 100],
+  );
+  assert.deepEqual(getRoutedMidiMessage([MIDI_CLOCK], 5), [MIDI_CLOCK]);
+});
+
+test('sends every message to every route, each on its own channel', () => {
+  const firstOutput = createFakeMidiOutput();
+  const secondOutput = createFakeMidiOutput();
+  const router = createMidiRouter([
+    { output: firstOutput, channel: null },
+    { output: secondOutput, channel: 16 },
+  ]);
+  router.send([MIDI_NOTE_ON + 1, 62, 90], 1000);
+  router.send([MIDI_CLOCK], 1010);
+  assert.deepEqual(firstOutput.messages, [
+    { data: [MIDI_NOTE_ON + 1, 62, 90], time: 1000 },
+    { data: [MIDI_CLOCK], time: 1010 },
+  ]);
+  assert.deepEqual(secondOutput.messages, [
+    { data: [MIDI_NOTE_ON + 15, 62, 90], time: 1000 },
+    { data: [MIDI_CLOCK], time: 1010 },
+  ]);
+});
+
+test('skips a port that has been disconnected, and clears the ports that can', () => {
+  const disconnectedOutput = createFakeMidiOutput();
+  disconnectedOutput.state = 'disconnected';
+  disconnectedOutput.send = () => {
+    throw new Error('The port is disconnected.');
+  };
+  const connectedOutput = createFakeMidiOutput();
+  var clearCount = 0;
+  connectedOutput.clear = () => clearCount++;
+  const router = createMidiRouter([
+    { output: disconnectedOutput, channel: null },
+    { output: connectedOutput, channel: null },
+  ]);
+  router.send([MIDI_NOTE_ON, 60, 127], 1000);
+  router.clear();
+  assert.deepEqual(connectedOutput.messages, [{ data: [MIDI_NOTE_ON, 60, 127], time: 1000 }]);
+  assert.equal(clearCount, 1);
+});
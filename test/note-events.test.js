@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MIDI_NOTE_ON,
+  MIDI_NOTE_OFF,
+  MIDI_FILE_TICKS_PER_QUARTER_NOTE,
+  createSequencer,
+  createCycle,
+  activateBeat,
+  updateBeatParameters,
+  createNoteEvents,
+  sortNoteEvents,
+  getMidiFileTickLength,
+} from '../cyclochron-core.js';
+import { createWavFile } from '../cyclochron-audio.js';
+
+function createTestSequencer() {
+  const sequencer = createSequencer();
+  const cycle = createCycle(4, 36, 10);
+  activateBeat(cycle, 0);
+  activateBeat(cycle, 1);
+  updateBeatParameters(cycle, 1, { velocity: 90, gate: 0.25 });
+  sequencer.cycles.push(cycle);
+  return { sequencer, cycle };
+}
+
+const getNotes = events => sortNoteEvents(events).map(event => [event.tick, ...event.data]);
+
+test('renders the notes of each repetition in ticks, with their velocities and gates', () => {
+  const { sequencer, cycle } = createTestSequencer();
+  const { length, noteEvents } = createNoteEvents(sequencer, 2);
+
+  // four sixteenth notes make a quarter note
+  assert.equal(length, 2 * MIDI_FILE_TICKS_PER_QUARTER_NOTE);
+  assert.deepEqual(getNotes(noteEvents.get(cycle)), [
+    [0, MIDI_NOTE_ON + 9, 36, 127],
+    [60, MIDI_NOTE_OFF + 9, 36, 0],
+    [120, MIDI_NOTE_ON + 9, 36, 90],
+    [150, MIDI_NOTE_OFF + 9, 36, 0],
+    [480, MIDI_NOTE_ON + 9, 36, 127],
+    [540, MIDI_NOTE_OFF + 9, 36, 0],
+    [600, MIDI_NOTE_ON + 9, 36, 90],
+    [630, MIDI_NOTE_OFF + 9, 36, 0],
+  ]);
+  assert.equal(getMidiFileTickLength(sequencer), 500 / MIDI_FILE_TICKS_PER_QUARTER_NOTE);
+});
+
+test('delays every second step by the swing', () => {
+  const { sequencer, cycle } = createTestSequencer();
+  sequencer.swing = 60;
+  const noteOnTicks = getNotes(createNoteEvents(sequencer, 1).noteEvents.get(cycle))
+    .filter(note => note[1] === MIDI_NOTE_ON + 9)
+    .map(note => note[0]);
+  // the first step of each pair takes 60% of the pair
+  assert.deepEqual(noteOnTicks, [0, 144]);
+});
+
+test('encodes audio as 16-bit PCM in a WAV file', () => {
+  const samples = new Float32Array([0, 1, -1, 0.5]);
+  const audioBuffer = {
+    numberOfChannels: 1,
+    length: samples.length,
+    sampleRate: 44100,
+    getChannelData: () => samples,
+  };
+  const view = new DataView(createWavFile(audioBuffer).buffer);
+  assert.equal(view.byteLength, 44 + (samples.length * 2));
+  assert.equal(view.getUint32(24, true), 44100);
+  assert.deepEqual(
+    [0, 1, 2, 3].map(idx => view.getInt16(44 + (idx * 2), true)),
+    [0, 32767, -32768, 16383],
+  );
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_STEP_RESOLUTION,
+  createSequencer,
+  createCycle,
+  activateBeat,
+  createPattern,
+  encodePatternHash,
+  decodePatternHash,
+} from '../cyclochron-core.js';
+
+function createTestHash() {
+  const sequencer = createSequencer();
+  const cycle = createCycle(8, 36, 10);
+  activateBeat(cycle, 0);
+  activateBeat(cycle, 3);
+  cycle.stepResolution = 'eighthTriplet';
+  sequencer.cycles.push(cycle);
+  sequencer.grooveTemplate = 'laidBack';
+  const generator = { maxRests: 2, maxRepeats: 1, allowOffbeatSymmetry: true };
+  return encodePatternHash(createPattern(sequencer, 'Test', generator));
+}
+
+test('decodes the pattern that was encoded in the hash', () => {
+  const pattern = decodePatternHash(createTestHash());
+  assert.equal(pattern.grooveTemplate, 'laidBack');
+  assert.equal(pattern.cycles[0].stepResolution, 'eighthTriplet');
+  assert.deepEqual(pattern.cycles[0].beats.map(beat => beat.active), [
+    true, false, false, true, false, false, false, false,
+  ]);
+});
+
+test('ignores names in the hash that only an object inherits', () => {
+  const params = new URLSearchParams(createTestHash());
+  params.set('res', 'constructor');
+  params.set('groove', 'toString');
+  const pattern = decodePatternHash(params.toString());
+  assert.equal(pattern.cycles[0].stepResolution, DEFAULT_STEP_RESOLUTION);
+  assert.equal(pattern.grooveTemplate, 'none');
+});
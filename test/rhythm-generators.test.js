@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SYMMETRICAL_GENERATOR,
+  createBeat,
+  createCycle,
+  countSymmetricalRhythms,
+  createRandomNumberGenerator,
+  generateEuclideanRhythm,
+  generateMaximallyEvenRhythm,
+  isRhythmWithinLimits,
+  mutateRhythm,
+  updateBeats,
+} from '../cyclochron-core.js';
+import { findAxesOfSymmetry } from '../cyclochron-analysis.js';
+
+const toText = beats => beats.map(beat => beat.active ? 'x' : '.').join('');
+
+test('spreads Euclidean pulses with Bjorklund\'s algorithm', () => {
+  assert.equal(toText(generateEuclideanRhythm(3, 0, 8)), 'x..x..x.');
+  assert.equal(toText(generateEuclideanRhythm(5, 0, 8)), 'x.xx.xx.');
+  assert.equal(toText(generateEuclideanRhythm(4, 1, 9)), '.x.x.x..x');
+});
+
+test('gives every beat as a rest when there are no pulses', () => {
+  assert.equal(toText(generateEuclideanRhythm(0, 0, 8)), '........');
+  assert.equal(toText(generateEuclideanRhythm(NaN, 0, 5)), '.....');
+  assert.equal(toText(generateMaximallyEvenRhythm(0, 0, 6)), '......');
+});
+
+test('limits the pulses to the beat count', () => {
+  assert.equal(toText(generateEuclideanRhythm(12, 0, 4)), 'xxxx');
+  assert.equal(toText(generateEuclideanRhythm(-3, 0, 4)), '....');
+  assert.equal(toText(generateMaximallyEvenRhythm(12, 0, 4)), 'xxxx');
+});
+
+const fromText = text => [...text].map(step => createBeat(step === 'x'));
+const countFlips = (beats, mutatedBeats) => mutatedBeats
+  .filter((beat, idx) => beat.active !== beats[idx].active)
+  .length;
+
+test('mutates a rhythm by flipping beats within the limits', () => {
+  const random = createRandomNumberGenerator(1);
+  const beats = fromText('x..x..x.x..x..x.');
+  for (var i = 0; i < 20; i++) {
+    const mutatedBeats = mutateRhythm(beats, 3, 2, 1, null, random);
+    assert.equal(countFlips(beats, mutatedBeats), 3);
+    assert.ok(isRhythmWithinLimits(mutatedBeats, 2, 1));
+  }
+});
+
+test('keeps the axis of symmetry, counting a beat and its mirror image as two flips', () => {
+  const random = createRandomNumberGenerator(2);
+  const beats = fromText('x.x..xx..xx..x.x');
+  const mirrorIndex = findAxesOfSymmetry(beats)[0].mirrorIndex;
+  for (var i = 0; i < 20; i++) {
+    const mutatedBeats = mutateRhythm(beats, 2, 2, 1, mirrorIndex, random);
+    assert.ok([2, 3].includes(countFlips(beats, mutatedBeats)));
+    assert.ok(findAxesOfSymmetry(mutatedBeats).some(axis => axis.mirrorIndex === mirrorIndex));
+  }
+});
+
+test('gives up at once when no flip keeps to the limits', () => {
+  const beats = Array.from({ length: 256 }, (_beat, idx) => createBeat(idx % 2 === 0));
+  assert.equal(mutateRhythm(beats, 2, 1, 0, null), null);
+});
+
+/**
+ * Count the symmetrical rhythms by trying every rhythm of the cycle.
+ */
+function countSymmetricalRhythmsByEnumerating(maxRests, maxRepeats, beatCount, isBetweenBeats) {
+  const axis = isBetweenBeats ? beatCount - 1 : 0;
+  var count = 0n;
+  for (var bits = 0; bits < 2 ** beatCount; bits++) {
+    const beats = Array.from(
+      { length: beatCount },
+      (_beat, idx) => createBeat(Boolean(bits & (1 << idx))),
+    );
+    const isSymmetrical = beats.every(
+      (beat, idx) => beat.active === beats[(axis - idx + beatCount) % beatCount].active,
+    );
+    if (isSymmetrical && isRhythmWithinLimits(beats, maxRests, maxRepeats)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+test('counts symmetrical rhythms whose half is a single run', () => {
+  // 'xx', '.x' and 'x.'
+  assert.equal(countSymmetricalRhythms(1, 1, 2, false), 3n);
+  // 'xxxx' keeps to 3 repeats, and every other rhythm with at most one rest in a row
+  for (const isBetweenBeats of [false, true]) {
+    assert.equal(
+      countSymmetricalRhythms(1, 3, 4, isBetweenBeats),
+      countSymmetricalRhythmsByEnumerating(1, 3, 4, isBetweenBeats),
+    );
+  }
+});
+
+test('counts the same symmetrical rhythms as trying every rhythm', () => {
+  for (var beatCount = 2; beatCount <= 10; beatCount++) {
+    for (const isBetweenBeats of [false, true]) {
+      for (var maxRests = 1; maxRests <= 3; maxRests++) {
+        for (var maxRepeats = 0; maxRepeats <= 3; maxRepeats++) {
+          assert.equal(
+            countSymmetricalRhythms(maxRests, maxRepeats, beatCount, isBetweenBeats),
+            countSymmetricalRhythmsByEnumerating(maxRests, maxRepeats, beatCount, isBetweenBeats),
+            `${beatCount} beats, ${maxRests} rests, ${maxRepeats} repeats, ${isBetweenBeats}`,
+          );
+        }
+      }
+    }
+  }
+});
+
+test('gives the same rhythm every time for the same seed', () => {
+  const generator = {
+    algorithm: SYMMETRICAL_GENERATOR,
+    maxRests: 2,
+    maxRepeats: 1,
+    allowOffbeatSymmetry: true,
+  };
+  const generateRhythm = seed => {
+    const cycle = createCycle(16, 60, 1);
+    updateBeats(cycle, { ...generator, seed });
+    return [toText(cycle.beats), cycle.isLineOfSymmetryBetweenBeats];
+  };
+  const random = createRandomNumberGenerator(12345);
+  const otherRandom = createRandomNumberGenerator(12345);
+  const numbers = Array.from({ length: 8 }, () => random());
+  assert.deepEqual(Array.from({ length: 8 }, () => otherRandom()), numbers);
+  assert.deepEqual(generateRhythm(12345), generateRhythm(12345));
+  // and the seed is what picks the rhythm
+  const rhythms = new Set([1, 2, 3, 4, 5].map(seed => generateRhythm(seed)[0]));
+  assert.ok(rhythms.size > 1);
+});
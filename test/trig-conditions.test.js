@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MIDI_NOTE_ON,
+  TRIG_CONDITION_NOT_FIRST,
+  TRIG_CONDITION_FILL,
+  TRIG_CONDITION_PREVIOUS,
+  createSequencer,
+  createCycle,
+  activateBeat,
+  updateBeatParameters,
+  shouldPlayBeat,
+  isTrigConditionMet,
+  getTrigConditions,
+  readTrigCondition,
+  createNoteEvents,
+  createPattern,
+  encodePatternHash,
+  decodePatternHash,
+} from '../cyclochron-core.js';
+
+function createTestSequencer(conditions) {
+  const sequencer = createSequencer();
+  const cycle = createCycle(conditions.length, 36, 10);
+  conditions.forEach((condition, idx) => {
+    activateBeat(cycle, idx);
+    updateBeatParameters(cycle, idx, { condition });
+  });
+  sequencer.cycles.push(cycle);
+  return { sequencer, cycle };
+}
+
+const isMetOnPasses = (sequencer, condition, passCount) => Array.from(
+  { length: passCount },
+  (_pass, idx) => isTrigConditionMet(sequencer, condition, { passCount: idx }),
+);
+
+test('meets a ratio condition on one pass of every few', () => {
+  const { sequencer } = createTestSequencer([null]);
+  assert.deepEqual(
+    isMetOnPasses(sequencer, '2:3', 6),
+    [false, true, false, false, true, false],
+  );
+  assert.deepEqual(isMetOnPasses(sequencer, '1:2', 4), [true, false, true, false]);
+});
+
+test('meets the fill condition only while the fill is active', () => {
+  const { sequencer } = createTestSequencer([null]);
+  assert.equal(isTrigConditionMet(sequencer, TRIG_CONDITION_FILL, { passCount: 0 }), false);
+  sequencer.isFillActive = true;
+  assert.equal(isTrigConditionMet(sequencer, TRIG_CONDITION_FILL, { passCount: 0 }), true);
+});
+
+test('follows the last condition that was met or not, skipping the first pass', () => {
+  const { sequencer, cycle } = createTestSequencer([
+    TRIG_CONDITION_PREVIOUS,
+    TRIG_CONDITION_NOT_FIRST,
+    TRIG_CONDITION_PREVIOUS,
+    null,
+  ]);
+  const loop = { passCount: 0, isLastConditionMet: false };
+  const playPass = () => [0, 1, 2, 3].map(idx => shouldPlayBeat(sequencer, cycle, idx, loop));
+  // nothing has been met before the first beat
+  assert.deepEqual(playPass(), [false, false, false, true]);
+  loop.passCount++;
+  assert.deepEqual(playPass(), [false, true, true, true]);
+  loop.passCount++;
+  // the last condition carries over from the end of the previous pass
+  assert.deepEqual(playPass(), [true, true, true, true]);
+  assert.equal(loop.isLastConditionMet, true);
+});
+
+test('counts the passes of each cycle when exporting, without disturbing playback', () => {
+  const { sequencer, cycle } = createTestSequencer(['1:2', null, '2:3', TRIG_CONDITION_NOT_FIRST]);
+  cycle.passCount = 5;
+  const { noteEvents } = createNoteEvents(sequencer, 6);
+  const noteOnSteps = noteEvents.get(cycle)
+    .filter(event => event.data[0] === MIDI_NOTE_ON + 9)
+    .map(event => event.tick / 120)
+    .sort((a, b) => a - b);
+  assert.deepEqual(noteOnSteps, [
+    0, 1,
+    5, 6, 7,
+    8, 9, 11,
+    13, 15,
+    16, 17, 18, 19,
+    21, 23,
+  ]);
+  assert.equal(cycle.passCount, 5);
+});
+
+test('keeps the trigger conditions in the hash of a pattern', () => {
+  const { sequencer } = createTestSequencer(['3:8', TRIG_CONDITION_FILL, null, 'previous']);
+  const hash = encodePatternHash(createPattern(sequencer, 'Test', {}));
+  assert.deepEqual(
+    decodePatternHash(hash).cycles[0].beats.map(beat => beat.condition),
+    ['3:8', TRIG_CONDITION_FILL, null, 'previous'],
+  );
+});
+
+test('reads only the trigger conditions that there are', () => {
+  assert.ok(getTrigConditions().every(condition => readTrigCondition(condition) === condition));
+  for (const value of ['0:2', '3:2', '1:9', '1:2:3', 'constructor', 'toString', 1, null]) {
+    assert.equal(readTrigCondition(value), null);
+  }
+  const { sequencer } = createTestSequencer(['1:2', null]);
+  const params = new URLSearchParams(encodePatternHash(createPattern(sequencer, 'Test', {})));
+  params.set('c', params.get('c').replace('-1:2', '-constructor') + '_1-127--50-100-9:9');
+  assert.deepEqual(
+    decodePatternHash(params.toString()).cycles[0].beats.map(beat => beat.condition),
+    [null, null],
+  );
+});